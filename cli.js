@@ -3,21 +3,343 @@
 'use strict'
 
 const fs = require('fs')
+const os = require('os')
 const path = require('path')
+const Client = require('./lib/client')
+const Config = require('./lib/config')
+const Job = require('./lib/job')
+const logs = require('./lib/logs')
 const Manager = require('./lib/manager')
+const steps = require('./lib/steps')
+const util = require('./lib/util')
 
-const dir = process.argv[2]
+const usage = `Usage: zaark <command> [options]
 
-if (!dir) {
-  console.error('Expected path to directory')
-  process.exit(1)
+Commands:
+  run <dir>               Run the job in <dir> locally
+  validate <dir>          Check the config and script in <dir>
+  submit <dir>            Create the job in <dir> on the server
+  list                    List jobs on the server
+  start <id>              Start a job on the server
+  cancel <id>             Cancel a job on the server
+  logs <id>               Print a job's logs
+  schedules               List schedules on the server
+  schedule <action> <id>  Pause, resume, run, skip or cancel a schedule
+  secrets                 List the names of secrets on the server
+  secret set <name>       Set a secret on the server to the value on stdin
+  secret rm <name>        Delete a secret on the server
+
+Options:
+  --server <url>          Server URL (or ZAARK_SERVER)
+  --key <key>             API key (or ZAARK_KEY)
+  --ca <path>             Server certificate (or ZAARK_CA)
+  --insecure              Don't verify the server certificate (or ZAARK_INSECURE=1)
+  --instances <n>         Number of instances to submit
+  --data <path>           Submit one instance per row of a .csv, .jsonl or .json file
+  --title <template>      Title of each instance, e.g. "{{title}} ({{data.account}})"
+  --follow                Keep printing logs until the job finishes
+  --level <level>         Only print logs at or above debug, info, warn or error
+  --since <time>          Only print logs after this time
+  --tail <n>              Only print the last <n> logs
+
+A job directory has a config.json and either a script.js or
+a steps.yml (or steps.json) with declarative steps. Jobs with
+a cron expression or an interval are submitted as schedules.
+
+Config data can reference secrets, e.g. { "password": { "$secret": "amazon-password" } }.
+
+The server options can also be set in .zaarkrc.json in the current
+directory or the home directory.`
+
+const flags = ['follow', 'help', 'insecure']
+
+const parseArgs = argv => {
+  const args = []
+  const opts = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (!arg.startsWith('--')) {
+      args.push(arg)
+    } else if (flags.includes(arg.slice(2))) {
+      opts[arg.slice(2)] = true
+    } else {
+      opts[arg.slice(2)] = argv[++i]
+    }
+  }
+
+  return { args, opts }
+}
+
+const readRC = () => {
+  for (const dir of [process.cwd(), os.homedir()]) {
+    const file = path.join(dir, '.zaarkrc.json')
+
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+    }
+  }
+
+  return {}
+}
+
+const client = opts => {
+  const rc = readRC()
+  const { env } = process
+
+  return new Client({
+    server: opts.server || env.ZAARK_SERVER || rc.server,
+    key: opts.key || env.ZAARK_KEY || rc.key,
+    ca: opts.ca || env.ZAARK_CA || rc.ca,
+    insecure: opts.insecure || env.ZAARK_INSECURE === '1' || rc.insecure
+  })
+}
+
+const readDir = dir => {
+  if (!dir) {
+    throw new Error('Expected path to directory')
+  }
+
+  const config = fs.readFileSync(path.join(dir, 'config.json'), 'utf8')
+  const scriptFile = path.join(dir, 'script.js')
+
+  if (fs.existsSync(scriptFile)) {
+    return { config, script: fs.readFileSync(scriptFile, 'utf8') }
+  }
+
+  // Jobs can define steps instead of a script.
+  for (const filename of ['steps.yml', 'steps.yaml', 'steps.json']) {
+    const file = path.join(dir, filename)
+
+    if (fs.existsSync(file)) {
+      return { config, script: steps.compile(fs.readFileSync(file, 'utf8')) }
+    }
+  }
+
+  throw new Error('Expected script.js or steps.yml in ' + dir)
+}
+
+const readData = file => {
+  const data = fs.readFileSync(file, 'utf8')
+
+  switch (path.extname(file)) {
+    case '.csv':
+      return { data, format: 'csv' }
+
+    case '.jsonl':
+      return { data, format: 'jsonl' }
+
+    case '.json':
+      return { data: JSON.parse(data) }
+
+    default:
+      throw new Error('Expected data file to be .csv, .jsonl or .json')
+  }
 }
 
-const manager = new Manager()
+const expectId = (id, what = 'job') => {
+  if (!id) {
+    throw new Error(`Expected ${what} id`)
+  }
+
+  return id
+}
+
+const commands = {
+  async run ([dir]) {
+    const { config, script } = readDir(dir)
+    const manager = new Manager()
+
+    if (util.recurring(Config.from(config).scheduling)) {
+      manager.addSchedule(config, script)
+      return
+    }
+
+    const job = manager.addJob(config, script)
+
+    if (job.state === 'scheduled') {
+      await new Promise(resolve => job.on('state', state => state === 'done' && resolve()))
+    } else {
+      await job.start()
+    }
+
+    // Otherwise idle browsers and batched reports keep the process alive.
+    await manager.close()
+  },
+
+  async validate ([dir]) {
+    const { config, script } = readDir(dir)
+    const configErrors = Config.validate(config).errors
+    const { errors: scriptErrors, hooks } = await Job.check(script)
+
+    configErrors.forEach(({ path, message }) => {
+      console.error('config.json' + (path ? ` (${path})` : '') + ': ' + message)
+    })
+
+    scriptErrors.forEach(({ message, line, column }) => {
+      console.error('script' + (line ? `:${line}` + (column ? `:${column}` : '') : '') + ': ' + message)
+    })
 
-const config = fs.readFileSync(path.join(dir, 'config.json'), 'utf8')
-const script = fs.readFileSync(path.join(dir, 'script.js'), 'utf8')
+    if (configErrors.length || scriptErrors.length) {
+      throw new Error('Job is invalid')
+    }
 
-const job = manager.addJob(config, script)
+    console.log('Config is valid')
+    console.log('Script is valid (hooks: ' + (hooks.join(', ') || 'none') + ')')
+  },
 
-job.scheduled || job.start()
+  async submit ([dir], opts) {
+    const { config, script } = readDir(dir)
+    const instances = +opts.instances || 1
+    const { title } = opts
+
+    if (util.recurring(Config.from(config).scheduling)) {
+      if (instances > 1 || opts.data) {
+        throw new Error('Cannot submit instances of a schedule')
+      }
+
+      const { id } = await client(opts).createSchedule(Config.from(config), script)
+
+      console.log(id)
+      console.log('Submitted schedule')
+      return
+    }
+
+    const { ids } = await client(opts).createJobs(Config.from(config), script, {
+      instances,
+      title,
+      ...opts.data && readData(opts.data)
+    })
+
+    ids.forEach(id => console.log(id))
+    console.log(`Submitted ${ids.length} job(s)`)
+  },
+
+  async list (args, opts) {
+    const jobs = await client(opts).listJobs()
+
+    jobs.forEach(({ id, state, config }) => {
+      console.log([id, state.padEnd(11), config.title].join('  '))
+    })
+  },
+
+  async start ([id], opts) {
+    await client(opts).startJob(expectId(id))
+    console.log('Started')
+  },
+
+  async cancel ([id], opts) {
+    await client(opts).cancelJob(expectId(id))
+    console.log('Cancelled')
+  },
+
+  async logs ([id], opts) {
+    const c = client(opts)
+    const { level, since, tail } = opts
+    const print = entries => entries.forEach(entry => console.log(logs.format(entry)))
+
+    const fetch = async () => {
+      const job = await c.getJob(expectId(id))
+      const entries = await c.getLogs(id, { level, since, tail })
+
+      print(entries)
+
+      return { job, entries }
+    }
+
+    if (!opts.follow) {
+      await fetch()
+      return
+    }
+
+    // Connect before fetching, so entries logged in between are buffered instead of lost.
+    let buffered = []
+
+    await c.follow(id, entry => {
+      buffered ? buffered.push(entry) : print(logs.filter([entry], { level }))
+    }, {
+      onOpen: async () => {
+        const { job, entries } = await fetch()
+        const key = ({ time, message }) => time + ' ' + message
+        const seen = new Set(entries.map(key))
+
+        print(logs.filter(buffered.filter(entry => !seen.has(key(entry))), { level }))
+        buffered = null
+
+        return ['created', 'scheduled', 'queued', 'running'].includes(job.state)
+      }
+    })
+  },
+
+  async schedules (args, opts) {
+    const schedules = await client(opts).listSchedules()
+
+    schedules.forEach(({ id, state, nextRunAt, title, reason }) => {
+      console.log([id, state.padEnd(7), (state === 'active' ? nextRunAt : '').padEnd(24), title].join('  ') + (reason ? ` (${reason})` : ''))
+    })
+  },
+
+  async schedule ([action, id], opts) {
+    const actions = ['pause', 'resume', 'run', 'skip', 'cancel']
+
+    if (!actions.includes(action)) {
+      throw new Error('Expected action to be one of: ' + actions.join(', '))
+    }
+
+    const { state, nextRunAt, jobId, reason } = await client(opts).updateSchedule(expectId(id, 'schedule'), action)
+
+    jobId && console.log('Started job ' + jobId)
+    console.log(`Schedule is ${state}` + (state === 'active' ? ', next run at ' + nextRunAt : '') + (reason ? ` (${reason})` : ''))
+  },
+
+  async secrets (args, opts) {
+    const secrets = await client(opts).listSecrets()
+
+    secrets.forEach(({ name, updatedAt }) => console.log([name, updatedAt].join('  ')))
+  },
+
+  async secret ([action, name], opts) {
+    if (!name) {
+      throw new Error('Expected secret name')
+    }
+
+    switch (action) {
+      case 'set': {
+        const value = fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '')
+
+        await client(opts).setSecret(name, value)
+        console.log('Set secret ' + name)
+        return
+      }
+
+      case 'rm':
+        await client(opts).removeSecret(name)
+        console.log('Deleted secret ' + name)
+        return
+
+      default:
+        throw new Error('Expected action to be set or rm')
+    }
+  }
+}
+
+const main = async () => {
+  const { args: [command, ...args], opts } = parseArgs(process.argv.slice(2))
+
+  if (opts.help || !command) {
+    console.log(usage)
+    return
+  }
+
+  if (!commands[command]) {
+    throw new Error('Unknown command: ' + command)
+  }
+
+  await commands[command](args, opts)
+}
+
+main().catch(err => {
+  console.error(err.message)
+  process.exit(1)
+})
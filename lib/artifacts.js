@@ -0,0 +1,150 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const types = {
+  '.html': 'text/html',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.txt': 'text/plain'
+}
+
+/**
+ * Class that keeps files (screenshots, HTML, traces, etc.) produced by jobs.
+ * Artifacts are stored in a directory per job and per run.
+ */
+class ArtifactStore {
+  constructor (dir = path.join(__dirname, '..', 'out', 'artifacts')) {
+    this.dir = dir
+  }
+
+  /**
+   * @param  {String} name
+   *
+   * @return {Boolean}
+   */
+  static isValidName (name) {
+    return typeof name === 'string' && /^[\w-][\w.-]*$/.test(name)
+  }
+
+  /**
+   * @param  {String} name
+   *
+   * @return {String}
+   */
+  static contentType (name) {
+    return types[path.extname(name).toLowerCase()] || 'application/octet-stream'
+  }
+
+  /**
+   * Save an artifact for a job's run.
+   *
+   * @param  {String}                 jobId
+   * @param  {String}                 runId
+   * @param  {String}                 name
+   * @param  {(Buffer|Object|String)} data - other objects are saved as JSON
+   *
+   * @return {Promise}
+   */
+  async save (jobId, runId, name, data) {
+    if (!ArtifactStore.isValidName(name)) {
+      throw new Error('Invalid artifact name: ' + name)
+    }
+
+    if (ArrayBuffer.isView(data)) {
+      data = Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+    } else if (typeof data !== 'string') {
+      data = JSON.stringify(data)
+    }
+
+    const dir = path.join(this.dir, jobId, runId)
+
+    await fs.promises.mkdir(dir, { recursive: true })
+    await fs.promises.writeFile(path.join(dir, name), data)
+
+    return name
+  }
+
+  /**
+   * List a job's artifacts, oldest first.
+   *
+   * @param  {String} jobId
+   *
+   * @return {Promise}
+   */
+  async list (jobId) {
+    const dir = path.join(this.dir, jobId)
+    const artifacts = []
+    let runIds
+
+    try {
+      runIds = await fs.promises.readdir(dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return artifacts
+      throw err
+    }
+
+    for (const runId of runIds) {
+      const names = await fs.promises.readdir(path.join(dir, runId))
+
+      for (const name of names) {
+        const { mtime, size } = await fs.promises.stat(path.join(dir, runId, name))
+
+        artifacts.push({
+          name,
+          runId,
+          size,
+          type: ArtifactStore.contentType(name),
+          createdAt: mtime
+        })
+      }
+    }
+
+    return artifacts.sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  /**
+   * Read a job's artifact. If several runs saved an artifact with the name,
+   * read the newest one unless a run id is specified.
+   *
+   * @param  {String} jobId
+   * @param  {String} name
+   * @param  {String} [runId]
+   *
+   * @return {Promise} - resolves null if there's no such artifact
+   */
+  async read (jobId, name, runId) {
+    const artifacts = await this.list(jobId)
+
+    const artifact = artifacts
+      .reverse()
+      .find(artifact => artifact.name === name && (!runId || artifact.runId === runId))
+
+    if (!artifact) return null
+
+    const data = await fs.promises.readFile(path.join(this.dir, jobId, artifact.runId, name))
+
+    return { ...artifact, data }
+  }
+
+  /**
+   * Delete all of a job's artifacts.
+   *
+   * @param  {String} jobId
+   *
+   * @return {Promise}
+   */
+  async remove (jobId) {
+    try {
+      await fs.promises.rmdir(path.join(this.dir, jobId), { recursive: true })
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+}
+
+module.exports = ArtifactStore
@@ -0,0 +1,133 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const scopes = ['read', 'operate', 'admin']
+
+const hash = str => crypto.createHash('sha256').update(str).digest()
+
+/**
+ * Class that checks API keys (bearer tokens) and rate limits failed attempts.
+ *
+ * Each key has a name and a scope:
+ *   - "read" can view jobs, runs, logs and artifacts
+ *   - "operate" can also start and cancel jobs
+ *   - "admin" can do anything, e.g. create jobs and edit their scripts
+ */
+class Auth {
+  /**
+   * @param {Object[]} [keys]
+   * @param {String}   keys[].name
+   * @param {String}   keys[].key
+   * @param {String}   [keys[].scope = "read"]
+   * @param {Object}   [opts]
+   * @param {Number}   [opts.maxFailures = 10]  - failed attempts allowed per window
+   * @param {Number}   [opts.window = 900000]   - length of window in milliseconds
+   */
+  constructor (keys = [], { maxFailures = 10, window = 15 * 60e3 } = {}) {
+    this.failures = new Map()
+    this.maxFailures = maxFailures
+    this.window = window
+
+    this.keys = keys.map(({ name, key, scope = 'read' }) => {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Expected key name to be a non-empty string')
+      }
+
+      if (!key || typeof key !== 'string') {
+        throw new Error(`Expected key "${name}" to be a non-empty string`)
+      }
+
+      if (!scopes.includes(scope)) {
+        throw new Error(`Invalid scope for key "${name}": ${scope}`)
+      }
+
+      return { name, scope, hash: hash(key) }
+    })
+  }
+
+  /**
+   * Get the bearer token from a request's Authorization header or, for WebSocket
+   * upgrade requests only, its "token" query parameter (browsers can't set headers).
+   *
+   * @param  {http.IncomingMessage} req
+   *
+   * @return {String}
+   */
+  static token (req) {
+    const { authorization = '' } = req.headers
+    const [type, token] = authorization.split(' ')
+
+    if (type === 'Bearer' && token) return token
+
+    // Tokens in URLs end up in logs, so other requests must use the header.
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket') return ''
+
+    const url = new URL(req.url, 'https://localhost')
+
+    return url.searchParams.get('token') || ''
+  }
+
+  /**
+   * @param  {String} ip
+   *
+   * @return {Boolean}
+   */
+  limited (ip) {
+    const entry = this.failures.get(ip)
+
+    if (!entry) return false
+
+    if (Date.now() - entry.since > this.window) {
+      this.failures.delete(ip)
+      return false
+    }
+
+    return entry.count >= this.maxFailures
+  }
+
+  /**
+   * Find the key matching a token. Every key is compared in constant time
+   * so timing doesn't reveal which key (or how much of it) matched.
+   *
+   * @param  {String} token
+   * @param  {String} ip
+   *
+   * @return {?Object} - the key's name and scope
+   */
+  authenticate (token, ip) {
+    const digest = hash(token)
+    let match = null
+
+    for (const key of this.keys) {
+      if (crypto.timingSafeEqual(digest, key.hash) && !match) {
+        match = key
+      }
+    }
+
+    if (!match || !token) {
+      const entry = this.failures.get(ip) || { count: 0, since: Date.now() }
+
+      ++entry.count
+      this.failures.set(ip, entry)
+
+      console.error(`Failed authentication from ${ip} (${entry.count} in window)`)
+
+      return null
+    }
+
+    return { name: match.name, scope: match.scope }
+  }
+
+  /**
+   * @param  {Object}  key
+   * @param  {String}  scope
+   *
+   * @return {Boolean}
+   */
+  static allows (key, scope) {
+    return scopes.indexOf(key.scope) >= scopes.indexOf(scope)
+  }
+}
+
+module.exports = Auth
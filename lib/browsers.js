@@ -0,0 +1,162 @@
+'use strict'
+
+const EventEmitter = require('events')
+const puppeteer = require('puppeteer-extra')
+const StealthPlugin = require('puppeteer-extra-plugin-stealth')
+
+puppeteer.use(StealthPlugin())
+
+/**
+ * Class that reuses warm browsers between jobs. Browsers are grouped by
+ * their launch options (e.g. headless mode and proxy) and each job gets
+ * its own incognito context in a browser it has to itself, since its script
+ * is connected to the whole browser and could reach other jobs' pages.
+ *
+ * A browser that crashes is dropped, and a browser that has been used
+ * too many times is closed once its contexts are closed. Either way,
+ * it's replaced if its launch options are kept warm.
+ *
+ * Emits "launchError" when a browser fails to launch.
+ *
+ * @extends EventEmitter
+ */
+class BrowserPool extends EventEmitter {
+  /**
+   * @param {Object}   [opts]
+   * @param {Number}   [opts.size = 1]           - idle browsers kept per group (and how many are kept warm)
+   * @param {Number}   [opts.maxUses = 50]       - contexts a browser serves before it's recycled
+   * @param {Number}   [opts.idleTimeout = 300]  - seconds an idle browser stays open (unless warmed)
+   * @param {Function} [opts.launch]            - launches a browser with the given options
+   */
+  constructor ({
+    size = 1,
+    maxUses = 50,
+    idleTimeout = 300,
+    launch = opts => puppeteer.launch(opts)
+  } = {}) {
+    super()
+
+    this.groups = new Map()
+    this.idleTimeout = idleTimeout
+    this.launcher = launch
+    this.maxUses = maxUses
+    this.size = size
+    this.warmKeys = new Set()
+  }
+
+  group (key) {
+    const entries = this.groups.get(key) || []
+    this.groups.set(key, entries)
+
+    return entries
+  }
+
+  launch (key, opts) {
+    const entry = { active: 0, browser: null, key, opts, timer: null, uses: 0 }
+
+    entry.ready = this.launcher(opts).then(browser => {
+      entry.browser = browser
+      browser.once('disconnected', () => this.remove(entry))
+
+      return browser
+    })
+
+    entry.ready.catch(err => {
+      this.remove(entry)
+      this.emit('launchError', err)
+    })
+    this.group(key).push(entry)
+
+    return entry
+  }
+
+  remove (entry) {
+    const entries = this.group(entry.key)
+    const i = entries.indexOf(entry)
+
+    if (i === -1) return
+
+    entries.splice(i, 1)
+    clearTimeout(entry.timer)
+
+    // Browsers that failed to launch aren't replaced, or a bad launch would loop.
+    if (entry.browser && this.warmKeys.has(entry.key) && entries.length < this.size) {
+      this.launch(entry.key, entry.opts)
+    }
+  }
+
+  close (entry) {
+    this.remove(entry)
+    entry.browser && entry.browser.close().catch(console.error)
+  }
+
+  /**
+   * Get a new incognito context in an idle browser with the given launch options
+   * (or a new one, if none is idle). The browser isn't shared until the context is released.
+   *
+   * @param  {Object}  opts - launch options
+   *
+   * @return {Promise} - resolves { browser, context, release }
+   */
+  async acquire (opts) {
+    const key = JSON.stringify(opts)
+    const idle = this.group(key).find(entry => !entry.active && entry.uses < this.maxUses)
+    const entry = idle || this.launch(key, opts)
+
+    clearTimeout(entry.timer)
+    ++entry.active
+    ++entry.uses
+
+    try {
+      const browser = await entry.ready
+      const context = await browser.createIncognitoBrowserContext()
+
+      return { browser, context, release: () => this.release(entry) }
+    } catch (err) {
+      --entry.active
+      throw err
+    }
+  }
+
+  release (entry) {
+    if (--entry.active) return
+
+    const idle = this.group(entry.key).filter(entry => !entry.active)
+
+    if (entry.uses >= this.maxUses || idle.length > this.size) {
+      this.close(entry)
+    } else if (!this.warmKeys.has(entry.key) && this.idleTimeout) {
+      entry.timer = setTimeout(() => this.close(entry), this.idleTimeout * 1e3)
+    }
+  }
+
+  /**
+   * Launch browsers with the given options ahead of time and keep them open.
+   *
+   * @param  {Object}  opts - launch options
+   *
+   * @return {Promise}
+   */
+  async warm (opts) {
+    const key = JSON.stringify(opts)
+    const launches = []
+
+    this.warmKeys.add(key)
+
+    while (this.group(key).length < this.size) {
+      launches.push(this.launch(key, opts).ready)
+    }
+
+    await Promise.all(launches)
+  }
+
+  /**
+   * Close every browser.
+   */
+  closeAll () {
+    this.warmKeys.clear()
+    this.groups.forEach(entries => [...entries].forEach(entry => this.close(entry)))
+  }
+}
+
+module.exports = BrowserPool
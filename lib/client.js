@@ -0,0 +1,249 @@
+'use strict'
+
+const fs = require('fs')
+const WebSocket = require('ws')
+const util = require('./util')
+
+/**
+ * Class for talking to a remote {@link Server}.
+ */
+class Client {
+  /**
+   * @param {Object}  opts
+   * @param {String}  opts.server             - e.g. "https://example.com:8888"
+   * @param {String}  opts.key                - API key
+   * @param {String}  [opts.ca]               - path to the server's certificate (e.g. if it's self-signed)
+   * @param {Boolean} [opts.insecure = false] - don't verify the server's certificate
+   */
+  constructor ({ server, key, ca, insecure = false }) {
+    if (!server) {
+      throw new Error('Expected server URL')
+    }
+
+    if (!key) {
+      throw new Error('Expected API key')
+    }
+
+    this.server = server.replace(/\/+$/, '')
+    this.key = key
+    this.tls = { rejectUnauthorized: !insecure }
+
+    if (ca) {
+      this.tls.ca = fs.readFileSync(ca)
+    }
+  }
+
+  /**
+   * @param  {String} method
+   * @param  {String} path
+   * @param  {Object} [body]
+   *
+   * @return {Promise}
+   */
+  async request (method, path, body) {
+    const resp = await util.request(this.server + path, {
+      ...this.tls,
+      method,
+      headers: {
+        Authorization: 'Bearer ' + this.key,
+        'Content-Type': 'application/json'
+      },
+      body: body && JSON.stringify(body)
+    })
+
+    if (resp.statusCode >= 400) {
+      throw new Error(`${resp.statusCode}: ${resp.body}`)
+    }
+
+    return resp.headers['content-type'] === 'application/json'
+      ? JSON.parse(resp.body)
+      : resp.body
+  }
+
+  /**
+   * @return {Promise}
+   */
+  listJobs () {
+    return this.request('GET', '/jobs')
+  }
+
+  /**
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  getJob (id) {
+    return this.request('GET', '/jobs/' + id)
+  }
+
+  /**
+   * @param  {String} id
+   * @param  {Object} [opts]
+   * @param  {String} [opts.since] - e.g. "2020-10-01T00:00:00Z"
+   * @param  {String} [opts.level] - minimum level
+   * @param  {Number} [opts.tail]  - number of entries from the end
+   *
+   * @return {Promise}
+   */
+  getLogs (id, opts = {}) {
+    const params = new URLSearchParams()
+
+    Object.entries(opts).forEach(([key, value]) => {
+      value === undefined || params.set(key, value)
+    })
+
+    const query = params.toString()
+
+    return this.request('GET', `/jobs/${id}/logs` + (query ? '?' + query : ''))
+  }
+
+  /**
+   * @param  {Object}            config
+   * @param  {String}            script
+   * @param  {Object}            [opts]
+   * @param  {Number}            [opts.instances = 1]
+   * @param  {(Object[]|String)} [opts.data]          - rows of data, one job per row (instead of instances)
+   * @param  {String}            [opts.format]        - "csv" or "jsonl" if data is a string
+   * @param  {String}            [opts.title]         - e.g. "{{title}} ({{data.account}})"
+   *
+   * @return {Promise} - resolves { ids }
+   */
+  createJobs (config, script, opts = {}) {
+    return this.request('POST', '/jobs', { config, script, ...opts })
+  }
+
+  /**
+   * Check a config and script without creating a job.
+   *
+   * @param  {Object}  config
+   * @param  {String}  script
+   *
+   * @return {Promise} - resolves { valid, config: { errors }, script: { errors, hooks } }
+   */
+  validateJob (config, script) {
+    return this.request('POST', '/jobs/validate', { config, script })
+  }
+
+  /**
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  startJob (id) {
+    return this.request('POST', `/jobs/${id}/start`)
+  }
+
+  /**
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  cancelJob (id) {
+    return this.request('POST', `/jobs/${id}/cancel`)
+  }
+
+  /**
+   * @return {Promise}
+   */
+  listSchedules () {
+    return this.request('GET', '/schedules')
+  }
+
+  /**
+   * @param  {Object}  config - with a cron expression or an interval
+   * @param  {String}  script
+   *
+   * @return {Promise}
+   */
+  createSchedule (config, script) {
+    return this.request('POST', '/schedules', { config, script })
+  }
+
+  /**
+   * Pause, resume, run (now), skip (the next run) or cancel a schedule.
+   *
+   * @param  {String}  id
+   * @param  {String}  action
+   *
+   * @return {Promise}
+   */
+  updateSchedule (id, action) {
+    return this.request('POST', `/schedules/${id}/${action}`)
+  }
+
+  /**
+   * List the names of the secrets on the server.
+   *
+   * @return {Promise}
+   */
+  listSecrets () {
+    return this.request('GET', '/secrets')
+  }
+
+  /**
+   * @param  {String}  name
+   * @param  {String}  value
+   *
+   * @return {Promise}
+   */
+  setSecret (name, value) {
+    return this.request('PUT', `/secrets/${encodeURIComponent(name)}`, { value })
+  }
+
+  /**
+   * @param  {String}  name
+   *
+   * @return {Promise}
+   */
+  removeSecret (name) {
+    return this.request('DELETE', `/secrets/${encodeURIComponent(name)}`)
+  }
+
+  /**
+   * Stream a job's logs over the WebSocket until it finishes.
+   *
+   * @param  {String}   id
+   * @param  {Function} onLog
+   * @param  {Object}   [opts]
+   * @param  {Function} [opts.onOpen] - called once connected (e.g. to fetch earlier logs), resolves false to stop
+   *
+   * @return {Promise}
+   */
+  follow (id, onLog, { onOpen } = {}) {
+    const url = this.server.replace(/^http/, 'ws') + '/'
+
+    const ws = new WebSocket(url, {
+      ...this.tls,
+      headers: { Authorization: 'Bearer ' + this.key }
+    })
+
+    return new Promise((resolve, reject) => {
+      ws
+        .once('open', async () => {
+          if (!onOpen) return
+
+          try {
+            await onOpen() === false && ws.close()
+          } catch (err) {
+            ws.close()
+            reject(err)
+          }
+        })
+        .on('message', data => {
+          const msg = JSON.parse(data)
+
+          if (msg.id !== id) return
+
+          if (msg.type === 'log') {
+            onLog(msg.entry)
+          } else if (msg.type === 'state' && ['done', 'stopped', 'removed'].includes(msg.state)) {
+            ws.close()
+          }
+        })
+        .once('close', resolve)
+        .once('error', reject)
+    })
+  }
+}
+
+module.exports = Client
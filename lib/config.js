@@ -1,16 +1,246 @@
 'use strict'
 
+const cronParser = require('cron-parser')
 const Joi = require('joi')
+const emulation = require('./emulation')
+const reporters = require('./reporters')
+
+const cron = (value, helpers) => {
+  const fields = value.trim().split(/\s+/)
+
+  if (fields.length < 5 || fields.length > 6) {
+    return helpers.message('{{#label}} must have 5 or 6 fields')
+  }
+
+  try {
+    cronParser.parseExpression(value)
+  } catch (err) {
+    return helpers.message('{{#label}} is invalid: ' + err.message)
+  }
+
+  return value
+}
+
+const regex = (value, helpers) => {
+  try {
+    RegExp(value)
+  } catch {
+    return helpers.message('{{#label}} must be a valid regular expression')
+  }
+
+  return value
+}
+
+const numbers = Joi.array()
+  .items(Joi.string().pattern(/\d/))
+  .single()
+
+const reporterType = (value, helpers) => {
+  if (!reporters.types[value]) {
+    return helpers.message('{{#label}} must be one of ' + Object.keys(reporters.types).join(', '))
+  }
+
+  return value
+}
+
+const timezone = (value, helpers) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: value })
+  } catch {
+    return helpers.message('{{#label}} must be an IANA time zone')
+  }
+
+  return value
+}
 
 const schema = Joi.object({
   title: Joi.string().required(),
   data: Joi.object().default({}),
+  priority: Joi.number().integer().default(0),
+
+  artifacts: Joi.object({
+    onAttempt: Joi.boolean().default(false),
+    onFailure: Joi.boolean().default(true),
+    trace: Joi.boolean().default(false)
+  }).default(),
 
   browser: Joi.object({
     headless: Joi.boolean().default(true),
-    proxy: Joi.string().uri({ scheme: /(?:https?|socks[45])/ }).allow('')
+    proxy: [
+      Joi.string().uri({ scheme: /(?:https?|socks[45])/ }).allow(''),
+      Joi.object({
+        pool: Joi.string().required(),
+
+        rotation: Joi.string()
+          .valid('instance', 'run', 'attempt')
+          .default('run')
+      })
+    ],
+
+    profile: Joi.string().pattern(/^[\w-]+$/),
+
+    device: Joi.string().valid(...emulation.devices),
+
+    viewport: Joi.object({
+      width: Joi.number().integer().min(1),
+      height: Joi.number().integer().min(1),
+      deviceScaleFactor: Joi.number().positive(),
+      isMobile: Joi.boolean(),
+      hasTouch: Joi.boolean(),
+      isLandscape: Joi.boolean()
+    }),
+
+    userAgent: Joi.string(),
+
+    locale: Joi.string().pattern(/^[a-zA-Z]{2,3}(?:-[a-zA-Z0-9]{2,8})*$/),
+
+    timezone: Joi.string().custom(timezone),
+
+    geolocation: Joi.object({
+      latitude: Joi.number()
+        .min(-90)
+        .max(90)
+        .required(),
+
+      longitude: Joi.number()
+        .min(-180)
+        .max(180)
+        .required(),
+
+      accuracy: Joi.number().min(0),
+
+      origin: Joi.string().uri({ scheme: /https?/ })
+    }),
+
+    headers: Joi.object().pattern(Joi.string(), Joi.string()),
+
+    block: Joi.object({
+      types: Joi.array().items(
+        Joi.string().valid(
+          'document',
+          'stylesheet',
+          'image',
+          'media',
+          'font',
+          'script',
+          'xhr',
+          'fetch',
+          'websocket',
+          'other'
+        )
+      ),
+
+      urls: Joi.array().items(Joi.string().custom(regex)),
+
+      trackers: Joi.boolean()
+    })
+  }).default(),
+
+  inbound: Joi.object({
+    to: numbers,
+    from: numbers,
+    pattern: Joi.string().custom(regex)
   }),
 
+  limits: Joi.object({
+    memory: Joi.number()
+      .integer()
+      .min(16)
+      .default(256),
+
+    cpu: Joi.number()
+      .min(1)
+      .default(30)
+  }).default(),
+
+  monitor: Joi.object({
+    selector: Joi.string(),
+
+    fields: Joi.array()
+      .items(Joi.string())
+      .when('selector', { is: Joi.exist(), then: Joi.forbidden() }),
+
+    threshold: Joi.object({
+      absolute: Joi.number().min(0),
+      percent: Joi.number().min(0)
+    }),
+
+    quiet: Joi.number().min(0)
+  }),
+
+  output: Joi.object({
+    sinks: Joi.array().items(
+      Joi.object({
+        type: Joi.string()
+          .valid('jsonl', 'csv', 'json', 'http')
+          .required(),
+
+        file: Joi.string()
+          .pattern(/^(?:[\w-]+\/)*[\w-]+(?:\.[\w-]+)*$/)
+          .when('type', {
+            is: Joi.valid('jsonl', 'csv'),
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+          }),
+
+        fields: Joi.array()
+          .items(Joi.string())
+          .when('type', { not: 'csv', then: Joi.forbidden() }),
+
+        dir: Joi.string()
+          .pattern(/^(?:[\w-]+\/)*[\w-]+$/)
+          .when('type', { is: 'json', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+        url: Joi.string()
+          .uri({ scheme: /https?/ })
+          .when('type', { is: 'http', then: Joi.required(), otherwise: Joi.forbidden() }),
+
+        headers: Joi.object()
+          .pattern(Joi.string(), Joi.string())
+          .when('type', { not: 'http', then: Joi.forbidden() })
+      })
+    ).default([]),
+
+    schema: Joi.object().pattern(
+      Joi.string(),
+      Joi.string().pattern(/^(?:string|number|boolean|object|array)\??$/)
+    ),
+
+    dedupe: Joi.string()
+  }).default(),
+
+  reporters: Joi.array().items(
+    Joi.object({
+      type: Joi.string()
+        .required()
+        .custom(reporterType),
+
+      url: Joi.string()
+        .uri({ scheme: /https?/ })
+        .when('type', {
+          is: Joi.valid('discord', 'slack', 'webhook'),
+          then: Joi.required()
+        }),
+
+      to: Joi.array()
+        .items(Joi.string().email())
+        .single()
+        .when('type', { is: 'email', then: Joi.required() }),
+
+      subject: Joi.string(),
+      level: Joi.valid(...reporters.levels),
+      events: Joi.array().items(Joi.string()),
+      template: Joi.string(),
+
+      batch: Joi.object({
+        size: Joi.number().integer().min(1),
+        interval: Joi.number().min(0)
+      }),
+
+      retries: Joi.number().integer().min(0)
+    }).unknown()
+  ),
+
   reporting: Joi.object({
     discord: Joi.string()
       .uri({ scheme: /https?/ })
@@ -53,10 +283,13 @@ const schema = Joi.object({
         year: Joi.number()
           .integer()
           .min(2020)
-          .max(2030)
       }).allow(null)
     ],
 
+    cron: Joi.string().custom(cron).allow(''),
+
+    timezone: Joi.string().custom(timezone).allow(''),
+
     every: Joi.object({
       number: Joi.number()
         .integer()
@@ -67,6 +300,14 @@ const schema = Joi.object({
         .allow('')
     }),
 
+    overlap: Joi.string()
+      .valid('skip', 'queue', 'allow')
+      .default('skip'),
+
+    catchUp: Joi.string()
+      .valid('none', 'one', 'all')
+      .default('none'),
+
     attempts: Joi.number()
       .integer()
       .min(0)
@@ -80,11 +321,48 @@ const schema = Joi.object({
     timeout: Joi.number()
       .integer()
       .min(0)
-      .default(0)
+      .default(0),
+
+    retry: Joi.object({
+      backoff: Joi.string()
+        .valid('fixed', 'linear', 'exponential')
+        .default('fixed'),
+
+      delay: Joi.number()
+        .integer()
+        .min(0),
+
+      factor: Joi.number()
+        .min(1)
+        .default(2),
+
+      maxDelay: Joi.number()
+        .integer()
+        .min(0),
+
+      jitter: Joi.number()
+        .min(0)
+        .max(1)
+        .default(0),
+
+      on: Joi.array()
+        .items(Joi.string().custom(regex))
+        .single(),
+
+      except: Joi.array()
+        .items(Joi.string().custom(regex))
+        .single(),
+
+      between: Joi.string()
+        .valid('none', 'reload', 'page', 'context')
+        .default('reload')
+    })
   })
+    .oxor('cron', 'every')
+    .default()
 })
 
-exports.from = config => {
+const parse = config => {
   if (typeof config === 'string') {
     try {
       config = JSON.parse(config)
@@ -93,11 +371,15 @@ exports.from = config => {
     }
   }
 
-  if (!config.constructor || config.constructor.name !== 'Object') {
+  if (!config || !config.constructor || config.constructor.name !== 'Object') {
     throw new Error('Expected config to be an object literal')
   }
 
-  const { value, error } = schema.validate(config)
+  return config
+}
+
+exports.from = config => {
+  const { value, error } = schema.validate(parse(config))
 
   if (error) {
     throw new Error(error.message)
@@ -105,3 +387,26 @@ exports.from = config => {
 
   return value
 }
+
+/**
+ * Validate a config without throwing, collecting every error instead of the first.
+ *
+ * @param  {(Object|String)} config
+ *
+ * @return {Object}          - { value, errors: [{ path: "scheduling.every", message }] }
+ */
+exports.validate = config => {
+  try {
+    config = parse(config)
+  } catch (err) {
+    return { value: null, errors: [{ path: '', message: err.message }] }
+  }
+
+  const { value, error } = schema.validate(config, { abortEarly: false })
+
+  if (!error) return { value, errors: [] }
+
+  const errors = error.details.map(({ path, message }) => ({ path: path.join('.'), message }))
+
+  return { value: null, errors }
+}
@@ -0,0 +1,111 @@
+'use strict'
+
+/** @module csv */
+
+/**
+ * Split CSV into rows of fields. Fields can be quoted (with "" for
+ * a quote inside a field) and contain commas or newlines.
+ *
+ * @param  {String}     text
+ *
+ * @return {String[][]}
+ */
+const split = text => {
+  const rows = [[]]
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char
+      } else if (text[i + 1] === '"') {
+        field += char
+        i++
+      } else {
+        quoted = false
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      rows[rows.length - 1].push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      char === '\r' && text[i + 1] === '\n' && i++
+      rows[rows.length - 1].push(field)
+      rows.push([])
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quote in CSV')
+  }
+
+  rows[rows.length - 1].push(field)
+
+  return rows.filter(row => row.length > 1 || row[0])
+}
+
+/**
+ * Parse CSV with a header row into objects.
+ *
+ * @param  {String}   text
+ *
+ * @return {Object[]}
+ */
+const parse = text => {
+  const [header, ...records] = split(text)
+
+  if (!header) return []
+
+  return records.map((record, i) => {
+    if (record.length !== header.length) {
+      throw new Error(`Expected ${header.length} fields in CSV row ${i + 1}, got ${record.length}`)
+    }
+
+    return Object.fromEntries(header.map((key, j) => [key.trim(), record[j]]))
+  })
+}
+
+const escape = value => {
+  if (value == null) return ''
+
+  if (value instanceof Date) {
+    value = value.toISOString()
+  } else if (typeof value === 'object') {
+    value = JSON.stringify(value)
+  }
+
+  value = String(value)
+
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+}
+
+/**
+ * Write objects as CSV rows. Objects in fields (other than dates) are written as JSON.
+ *
+ * @param  {Object[]} records
+ * @param  {String[]} fields
+ * @param  {Object}   [opts]
+ * @param  {Boolean}  [opts.header = true] - start with a header row
+ *
+ * @return {String}
+ */
+const stringify = (records, fields, { header = true } = {}) => {
+  const rows = records.map(record => fields.map(field => escape(record[field])))
+
+  header && rows.unshift(fields.map(escape))
+
+  return rows.map(row => row.join(',') + '\n').join('')
+}
+
+module.exports = {
+  parse,
+  split,
+  stringify
+}
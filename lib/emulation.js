@@ -0,0 +1,106 @@
+'use strict'
+
+const { devices } = require('puppeteer')
+
+/** @module emulation */
+
+/**
+ * Domains blocked by the "trackers" option.
+ */
+const trackers = [
+  'doubleclick.net',
+  'facebook.net',
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googlesyndication.com',
+  'hotjar.com',
+  'mixpanel.com',
+  'scorecardresearch.com',
+  'segment.io',
+  'quantserve.com'
+]
+
+const isTracker = url => {
+  let hostname
+
+  try {
+    ({ hostname } = new URL(url))
+  } catch {
+    return false
+  }
+
+  return trackers.some(domain => hostname === domain || hostname.endsWith('.' + domain))
+}
+
+/**
+ * Apply the emulation options in a browser config to a page.
+ *
+ * @param  {Page}           page
+ * @param  {BrowserContext} context
+ * @param  {Object}         opts    - config.browser
+ *
+ * @return {Promise}
+ */
+const emulate = async (page, context, opts) => {
+  const {
+    block,
+    device,
+    geolocation,
+    headers,
+    locale,
+    timezone,
+    userAgent,
+    viewport
+  } = opts
+
+  device && await page.emulate(devices[device])
+  viewport && await page.setViewport({ ...page.viewport(), ...viewport })
+  userAgent && await page.setUserAgent(userAgent)
+  timezone && await page.emulateTimezone(timezone)
+
+  if (headers || locale) {
+    const extraHeaders = { ...headers }
+
+    if (locale) {
+      extraHeaders['Accept-Language'] = locale
+    }
+
+    await page.setExtraHTTPHeaders(extraHeaders)
+  }
+
+  if (locale) {
+    await page.evaluateOnNewDocument(locale => {
+      Object.defineProperty(navigator, 'language', { get: () => locale })
+      Object.defineProperty(navigator, 'languages', { get: () => [locale] })
+    }, locale)
+  }
+
+  if (geolocation) {
+    const { origin, ...coords } = geolocation
+
+    origin && await context.overridePermissions(origin, ['geolocation'])
+    await page.setGeolocation(coords)
+  }
+
+  if (block) {
+    const { types = [], urls = [], trackers = false } = block
+    const regexes = urls.map(url => new RegExp(url))
+
+    await page.setRequestInterception(true)
+
+    page.on('request', req => {
+      const url = req.url()
+
+      const blocked = types.includes(req.resourceType()) ||
+        regexes.some(regex => regex.test(url)) ||
+        (trackers && isTracker(url))
+
+      blocked ? req.abort() : req.continue()
+    })
+  }
+}
+
+module.exports = {
+  devices: Object.keys(devices),
+  emulate
+}
@@ -0,0 +1,98 @@
+'use strict'
+
+const crypto = require('crypto')
+
+/** @module inbound */
+
+const digits = number => String(number || '').replace(/\D/g, '')
+
+const safeEqual = (a, b) => {
+  a = Buffer.from(a || '')
+  b = Buffer.from(b || '')
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * @param  {Object} [rules]
+ *
+ * @return {Boolean}
+ */
+const hasRules = rules => !!(rules && (rules.to || rules.from || rules.pattern))
+
+/**
+ * Check whether an inbound message satisfies routing rules.
+ * Phone numbers are compared by their digits only.
+ *
+ * @param  {Object}                 [rules]
+ * @param  {(String|String[])}      [rules.to]
+ * @param  {(String|String[])}      [rules.from]
+ * @param  {(RegExp|String)}        [rules.pattern] - tested against the message text
+ * @param  {Object}                 msg
+ *
+ * @return {Boolean}
+ */
+const matches = ({ to, from, pattern } = {}, msg) => {
+  const numberMatches = (numbers, number) => !numbers ||
+    [].concat(numbers).some(n => digits(n) === digits(number))
+
+  return numberMatches(to, msg.to) &&
+    numberMatches(from, msg.from) &&
+    (!pattern || new RegExp(pattern).test(msg.text || ''))
+}
+
+/**
+ * Webhook formats of SMS providers. Each provider parses the form-encoded
+ * request body into a message and verifies the request's signature.
+ */
+const providers = {
+  twilio: {
+    parse: params => ({
+      from: params.From,
+      to: params.To,
+      text: params.Body || ''
+    }),
+
+    /**
+     * @see https://www.twilio.com/docs/usage/security#validating-requests
+     */
+    verify: (req, params, { authToken, url }) => {
+      const data = (url || 'https://' + req.headers.host + req.url) +
+        Object.keys(params).sort().map(key => key + params[key]).join('')
+
+      const sig = crypto.createHmac('sha1', authToken).update(data).digest('base64')
+
+      return safeEqual(sig, req.headers['x-twilio-signature'])
+    }
+  },
+
+  vonage: {
+    parse: params => ({
+      from: params.msisdn,
+      to: params.to,
+      text: params.text || ''
+    }),
+
+    /**
+     * @see https://developer.vonage.com/concepts/guides/signing-messages
+     */
+    verify: (req, params, { signatureSecret }) => {
+      const data = Object.keys(params)
+        .filter(key => key !== 'sig')
+        .sort()
+        .map(key => '&' + key + '=' + params[key].replace(/[&=]/g, '_'))
+        .join('') + signatureSecret
+
+      const sig = crypto.createHash('md5').update(data).digest('hex')
+
+      return safeEqual(sig, (params.sig || '').toLowerCase())
+    }
+  }
+}
+
+module.exports = {
+  hasRules,
+  matches,
+  providers,
+  safeEqual
+}
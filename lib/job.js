@@ -1,14 +1,64 @@
 'use strict'
 
 const EventEmitter = require('events')
-const puppeteer = require('puppeteer-extra')
-const StealthPlugin = require('puppeteer-extra-plugin-stealth')
 const uuid = require('uuid').v4
 const vm = require('vm')
 const Config = require('./config')
+const { emulate } = require('./emulation')
+const inbound = require('./inbound')
+const monitor = require('./monitor')
+const Output = require('./output')
+const { format, logger } = require('./logs')
+const proxies = require('./proxies')
+const retry = require('./retry')
+const Run = require('./run')
+const Sandbox = require('./sandbox')
 const util = require('./util')
 
-puppeteer.use(StealthPlugin())
+/**
+ * Find where in a script an error was thrown, from its stack.
+ * Syntax errors are located by the caret under the offending line.
+ *
+ * @param  {Error}  err
+ *
+ * @return {Object} - { line, column } (null if unknown)
+ */
+const locate = err => {
+  const stack = String(err && err.stack).split('\n')
+  const [, line] = stack[0].match(/^script\.js:(\d+)$/) || []
+
+  if (line) {
+    const caret = (stack[2] || '').indexOf('^')
+
+    return { line: +line, column: caret === -1 ? null : caret + 1 }
+  }
+
+  const [, frameLine, frameColumn] = stack.join('\n').match(/script\.js:(\d+):(\d+)/) || []
+
+  return frameLine
+    ? { line: +frameLine, column: +frameColumn }
+    : { line: null, column: null }
+}
+
+/**
+ * Compile a script without running it.
+ *
+ * @param  {String}  script
+ *
+ * @return {Object} - { compiled } (a vm.Script), or { error } with the syntax error, e.g. { message, line: 2, column: 7 }
+ */
+const parse = script => {
+  if (typeof script !== 'string') {
+    return { error: { message: 'Expected script to be a string', line: null, column: null } }
+  }
+
+  try {
+    const compiled = new vm.Script(script, { filename: 'script.js' })
+    return { compiled }
+  } catch (err) {
+    return { error: { message: err.message, ...locate(err) } }
+  }
+}
 
 /**
  * Class for scheduling, configuring, and running browser automation job.
@@ -16,35 +66,136 @@ puppeteer.use(StealthPlugin())
  * @extends EventEmitter
  */
 class Job extends EventEmitter {
-  constructor (config, script) {
+  /**
+   * @param {(Object|String)} config
+   * @param {String}          script
+   * @param {Object}          [opts]      - used when restoring a job or running a schedule
+   * @param {String}          [opts.baseTitle] - configured title of the batch the job is an instance of
+   * @param {String}          [opts.id]
+   * @param {Object}          [opts.result]
+   * @param {String}          [opts.scheduleId] - id of the {@link Schedule} the job is an occurrence of
+   * @param {String}          [opts.state]
+   */
+  constructor (config, script, {
+    baseTitle = null,
+    id = uuid(),
+    result = {},
+    scheduleId = id,
+    state = 'created'
+  } = {}) {
     super()
 
+    this.artifacts = null
+    this.baseTitle = baseTitle
     this.browser = null
+    this.browsers = null
     this.config = null
-    this.id = uuid()
-    this.logs = []
+    this.context = null
+    this.hooks = {}
+    this.id = id
+    this.lease = null
+    this.log = logger((level, message, data) => this.write(level, message, data))
     this.page = null
-    this.result = {}
+    this.pool = null
+    this.profile = null
+    this.profiles = null
+    this.proxies = null
+    this.proxy = null
+    this.queue = null
+    this.result = result
+    this.run = null
+    this.sandbox = null
+    this.scheduleId = scheduleId
     this.script = ''
-    this.state = 'created'
+    this.secrets = null
+    this.state = state
+    this.timedOut = false
+    this.tracing = null
+    this.waits = []
 
     this.setConfig(config)
     this.setScript(script)
+  }
 
-    const handleBegin = state => {
-      if (state === 'running') {
-        this.handleBegin()
-        this.removeListener('state', handleBegin)
-      }
+  /**
+   * Check a script and report every problem with it, instead of throwing on the first one.
+   * Its top-level code runs in a throwaway sandbox, never in this process.
+   *
+   * @param  {String}  script
+   *
+   * @return {Promise} - resolves e.g. { hooks: ["action"], errors: [{ message, line: 2, column: 7 }] }
+   */
+  static async check (script) {
+    const { error: syntaxError } = parse(script)
+
+    if (syntaxError) return { hooks: [], errors: [syntaxError] }
+
+    const { hooks, error, stack } = await Sandbox.check(script)
+
+    if (!error) return { hooks, errors: [] }
+
+    return { hooks, errors: [{ message: error, ...locate({ stack }) }] }
+  }
+
+  /**
+   * Compile a script without running it, so syntax errors are caught early.
+   * Which hooks it defines is only known once it runs in the job's sandbox.
+   *
+   * @param {String} script
+   */
+  static compile (script) {
+    const { error } = parse(script)
+
+    if (error) {
+      const { message, line, column } = error
+
+      const location = line ? ` (line ${line}${column ? ', column ' + column : ''})` : ''
+
+      throw new Error(`Invalid script: ${message}${location}`)
+    }
+  }
+
+  /**
+   * Recreate a job from a record produced by {@link Job#serialize}.
+   *
+   * A scheduled job is re-armed if it's still due in the future, otherwise
+   * it's marked "missed". A job that was running is marked "interrupted".
+   *
+   * @param  {Object} record
+   *
+   * @return {Job}
+   */
+  static restore ({ config, script, ...opts }) {
+    let { state } = opts
+
+    if (state === 'running') {
+      state = 'interrupted'
+    } else if (state === 'queued') {
+      state = 'created'
+    } else if (state === 'scheduled') {
+      const when = util.firstRun(config.scheduling)
+      state = when && when > new Date() ? 'created' : 'missed'
+    }
+
+    const job = new Job(config, script, { ...opts, state })
+
+    if (opts.state === 'running') {
+      job.log.warn('Interrupted by server restart')
+    } else if (job.state === 'missed') {
+      job.log.warn('Missed scheduled start while server was down')
     }
 
-    this.on('state', handleBegin)
+    return job
   }
 
   get created () {
     return this.state === 'created'
   }
 
+  get queued () {
+    return this.state === 'queued'
+  }
+
   get running () {
     return this.state === 'running'
   }
@@ -57,85 +208,74 @@ class Job extends EventEmitter {
     this.emit('state', this.state = state)
   }
 
-  handleBegin () {
-    const { scheduling } = this.config
-
-    const scheduleInterval = scheduling &&
-      scheduling.every &&
-      scheduling.every.number &&
-      scheduling.every.unit
-
-    if (!scheduleInterval) return
-
-    const when = util.date(scheduling.when || {})
-    let { unit, number } = scheduling.every
-
-    switch (unit) {
-      case 'minute':
-      case 'minutes':
-        when.setMinutes(when.getMinutes() + number)
-        break
-
-      case 'hour':
-      case 'hours':
-        when.setHours(when.getHours() + number)
-        break
-
-      case 'week':
-      case 'weeks':
-        number *= 7
-
-      case 'day':
-      case 'days':
-        when.setDate(when.getDate() + number)
-        break
-
-      case 'month':
-      case 'months':
-        when.setMonth(when.getMonth() + number)
+  /**
+   * Add an entry to the job's logs. Use the log() function instead,
+   * e.g. this.log('Started') or this.log.warn('Retrying').
+   *
+   * @param  {String} level
+   * @param  {String} message
+   * @param  {Object} [data]
+   */
+  write (level, message, data) {
+    message = this.mask(message)
+    data = this.mask(data)
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      jobId: this.id,
+      runId: this.run && this.run.id,
+      message,
+      data
     }
 
-    const config = { ...this.config, scheduling: { ...scheduling, when } }
-    const job = new Job(config, this.script)
+    this.emit('log', entry)
 
-    console.log(job.toObject())
+    level === 'warn' || level === 'error'
+      ? console.error(format(entry))
+      : console.log(format(entry))
 
-    this.emit('next', job)
+    this.report({ type: 'log', level, text: message, data })
   }
 
   /**
-   * @param  {String} text
+   * Emit an event for the job's reporters.
+   *
+   * @param {Object} event
+   * @param {String} event.type  - "log", "changed" or a run outcome
+   * @param {String} event.level - "debug", "info", "warn" or "error"
+   * @param {String} event.text
    */
-  log (text) {
-    text = '[' + (new Date()).toISOString() + '] ' + text
-
-    this.logs.push(text)
-    this.emit('log', text)
-    console.log(text)
-
-    const { config: { reporting } } = this
+  report (event) {
+    this.emit('report', {
+      ...this.mask(event),
+      id: this.id,
+      runId: this.run && this.run.id,
+      title: this.config.title,
+      time: new Date()
+    })
+  }
 
-    if (reporting) {
-      if (reporting.discord) {
-        util.request(reporting.discord, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ text, username: 'zaark' })
-        }).catch(err => this.emit('error', err))
-      }
+  /**
+   * Mask secret values (e.g. in log messages) so they're only ever seen by the script.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  mask (value) {
+    return this.secrets ? this.secrets.mask(value) : value
+  }
 
-      if (reporting.slack) {
-        util.request(reporting.slack, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ text })
-        }).catch(err => this.emit('error', err))
-      }
-    }
+  /**
+   * Replace secret values (e.g. in the result) with references, so they're never stored.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  refer (value) {
+    return this.secrets ? this.secrets.refer(value) : value
   }
 
   /**
@@ -144,101 +284,210 @@ class Job extends EventEmitter {
    * @return {Promise}
    */
   async start () {
+    if (this.queue) {
+      const acquired = this.queue.acquire(this)
+
+      if (this.queue.position(this)) {
+        this.changeState('queued')
+        this.log(`Queued "${this.config.title}"`)
+      }
+
+      if (!await acquired) return
+    }
+
     this.changeState('running')
 
-    const { browser, scheduling, title } = this.config
+    const { scheduling, title } = this.config
 
     this.result = {}
+    this.run = new Run({ jobId: this.id, scheduleId: this.scheduleId })
+    this.emit('run', this.run)
 
-    const { headless, proxy } = browser
+    this.log(`Started "${title}"`)
 
-    const args = []
+    try {
+      await this.loadProfile()
+    } catch (err) {
+      this.log.error('Failed to load profile: ' + err.message)
+      await this.finish('failed', err)
 
-    if (proxy) {
-      args.push('--proxy-server=' + proxy)
+      return
     }
 
-    this.log(`Started "${title}"`)
+    if (this.stopped) {
+      await this.finish('stopped')
+      return
+    }
+
+    try {
+      await this.launchBrowser()
+    } catch (err) {
+      this.log.error('Failed to launch browser: ' + err.message)
+      this.reportProxy(false)
+      await this.finish('failed', err)
+
+      return
+    }
 
     try {
-      this.browser = await puppeteer.launch({ headless, args })
+      this.page = await this.newPage()
+      await this.startTrace()
     } catch (err) {
-      this.log('Failed to launch browser: ' + err.message)
-      await this.finish()
+      this.log.error('Failed to open page: ' + err.message)
+      await this.finish('failed', err)
 
       return
     }
 
-    this.page = await this.browser.newPage()
+    try {
+      await this.openSandbox()
+    } catch (err) {
+      this.log.error('Failed to start script: ' + err.message)
+      await this.finish('failed', err)
+
+      return
+    }
 
     try {
       await this.setup()
     } catch (err) {
-      this.log('setup() failed: ' + err.message)
+      this.log.error('setup() failed: ' + err.message)
+      this.config.artifacts.onFailure && await this.capture('setup-failure')
       this.log('Halting job')
-      await this.finish()
+      await this.finish('failed', err)
 
       return
     }
 
-    let attempts = scheduling.attempts
+    const policy = retry.policy(scheduling)
+    // No attempts configured still means one.
+    let attempts = scheduling.attempts || 1
     let timeout
 
+    this.timedOut = false
+
     if (scheduling.timeout) {
       attempts = Infinity
 
       timeout = setTimeout(() => {
-        this.stopped = true
-        this.log('Timed out')
+        this.timedOut = true
+        this.log.error('Timed out')
+        this.sandbox.terminate('Timed out')
       }, scheduling.timeout * 1e3)
     }
 
+    let error = null
     let i
 
-    for (i = 0; !this.stopped && i < attempts; i++) {
+    for (i = 0; !this.stopped && !this.timedOut && i < attempts; i++) {
+      this.run.attempts = i + 1
+
+      let done = false
+      error = null
+
       try {
-        if (await this.action(i)) {
-          ++i
-          break
-        }
+        done = await this.action(i)
+        this.reportProxy(true)
       } catch (err) {
-        this.stopped || this.log('action() failed: ' + err.message)
+        error = err
+        this.stopped || this.timedOut || this.log.warn('action() failed: ' + err.message)
+        proxies.proxyError.test(err.name + ': ' + err.message) && this.reportProxy(false)
       }
 
-      if (!this.stopped && scheduling.delay) {
-        await util.sleep(scheduling.delay)
+      if (error && this.config.artifacts.onFailure) {
+        await this.capture(`attempt-${i + 1}-failure`)
+      } else if (this.config.artifacts.onAttempt) {
+        await this.capture(`attempt-${i + 1}`)
       }
 
-      await this.page.reload()
+      if (done) {
+        ++i
+        break
+      }
+
+      if (this.stopped || this.timedOut) continue
+
+      if (error && (this.sandbox.dead || !retry.retryable(policy, error))) {
+        this.sandbox.dead || this.log.error(error.fatal ? 'Fatal error' : 'Error isn\'t retryable')
+        this.log('Halting job')
+        clearTimeout(timeout)
+        await this.finish('failed', error)
+
+        return
+      }
+
+      if (i + 1 >= attempts) continue
+
+      const ms = retry.delay(policy, i + 1)
+
+      if (ms) {
+        this.log.warn(`Retrying in ${ms}ms`)
+        await util.sleep(ms)
+      }
+
+      try {
+        await this.prepareAttempt(policy.between, i + 2)
+      } catch (err) {
+        this.log.error('Failed to prepare next attempt: ' + err.message)
+      }
     }
 
     clearTimeout(timeout)
 
+    if (this.timedOut) {
+      await this.finish('timedout')
+      return
+    }
+
+    if (!this.stopped && error) {
+      this.log.error(`action() failed ${i} times`)
+      this.log('Halting job')
+      await this.finish('failed', error)
+
+      return
+    }
+
     if (!this.stopped) {
       this.log(`Ran action() ${i} times`)
 
       try {
         await this.finalize()
-        this.log('Result: ' + JSON.stringify(this.result))
+        this.log('Result', this.result)
+        await this.takeSnapshot()
         this.log('Completed')
       } catch (err) {
-        this.log('finalize() failed: ' + err.message)
+        this.log.error('finalize() failed: ' + err.message)
+        this.config.artifacts.onFailure && await this.capture('finalize-failure')
         this.log('Halting job')
+        await this.finish('failed', err)
+
+        return
       }
     }
 
-    await this.finish()
+    await this.finish('completed')
   }
 
   rm () {
+    this.queued && this.queue.remove(this)
     this.running || this.changeState('removed')
   }
 
   /**
    * Stop the job gracefully (i.e. not immediately).
+   * If the job is queued, remove it from the queue.
    */
   stop () {
-    this.running && this.changeState('stopped')
+    if (this.queued) {
+      this.queue.remove(this)
+      this.changeState('stopped')
+      return
+    }
+
+    if (this.running) {
+      this.changeState('stopped')
+      this.sandbox && this.sandbox.terminate('Stopped')
+    }
   }
 
   /**
@@ -249,7 +498,8 @@ class Job extends EventEmitter {
    * @param  {(Date|Object)} when
    */
   schedule (when) {
-    const unschedule = util.schedule(this.start.bind(this), when)
+    const start = this.start.bind(this)
+    const unschedule = util.schedule(() => start().catch(console.error), when)
 
     this.start = () => {
       throw new Error('Job already scheduled')
@@ -278,12 +528,16 @@ class Job extends EventEmitter {
   setConfig (config) {
     config = Config.from(config)
 
+    if (util.recurring(config.scheduling)) {
+      throw new Error('Recurring jobs must be created as schedules')
+    }
+
     this.config = config
+    this.emit('change')
 
-    if (config.scheduling.when) {
-      const when = util.date(config.scheduling.when)
-      this.schedule(when)
-    }
+    const when = this.created && util.firstRun(config.scheduling)
+
+    when && this.schedule(when)
   }
 
   /**
@@ -292,45 +546,50 @@ class Job extends EventEmitter {
    * @param {String} script
    */
   setScript (script) {
-    if (typeof script !== 'string') {
-      throw new Error('Expected script to be a string')
-    }
-
-    const context = {}
-
-    vm.createContext(context)
+    Job.compile(script)
+    this.script = script
+    this.emit('change')
+  }
 
-    try {
-      vm.runInContext(script, context)
-    } catch {
-      throw new Error('Invalid script')
+  /**
+   * Save an artifact (e.g. a screenshot or a file) for the current run.
+   *
+   * @param  {String}                 name - e.g. "receipt.pdf"
+   * @param  {(Buffer|Object|String)} data - objects are saved as JSON
+   *
+   * @return {Promise}
+   */
+  async artifact (name, data) {
+    if (!this.run) {
+      throw new Error('Job isn\'t running')
     }
 
-    if (context.setup) {
-      if (typeof context.setup !== 'function') {
-        throw new Error('Expected setup to be a function')
-      }
-
-      this.setup = context.setup.bind(this)
+    if (!this.artifacts) {
+      throw new Error('No artifact store')
     }
 
-    if (context.action) {
-      if (typeof context.action !== 'function') {
-        throw new Error('Expected action to be a function')
-      }
+    await this.artifacts.save(this.id, this.run.id, name, data)
 
-      this.action = context.action.bind(this)
-    }
+    this.run.artifacts.includes(name) || this.run.artifacts.push(name)
+    this.log('Saved artifact ' + name)
+  }
 
-    if (context.finalize) {
-      if (typeof context.finalize !== 'function') {
-        throw new Error('Expected finalize to be a function')
-      }
+  /**
+   * Save a screenshot and the HTML of the page as artifacts.
+   *
+   * @param  {String} label
+   *
+   * @return {Promise}
+   */
+  async capture (label) {
+    if (!this.page) return
 
-      this.finalize = context.finalize.bind(this)
+    try {
+      await this.artifact(label + '.png', await this.page.screenshot({ fullPage: true }))
+      await this.artifact(label + '.html', await this.page.content())
+    } catch (err) {
+      this.log.warn(`Failed to capture ${label}: ${err.message}`)
     }
-
-    this.script = script
   }
 
   /**
@@ -353,36 +612,111 @@ class Job extends EventEmitter {
     return {
       config: this.config,
       id: this.id,
-      logs: this.logs,
+      position: this.queued ? this.queue.position(this) : null,
+      scheduleId: this.scheduleId,
       state: this.state
     }
   }
 
   /**
-   * @param  {Number} [timeout = 60000]
+   * Return everything needed to restore the job with {@link Job.restore}.
+   *
+   * @return {Object}
+   */
+  serialize () {
+    return {
+      ...this.toObject(),
+      baseTitle: this.baseTitle,
+      result: this.refer(this.result),
+      script: this.script
+    }
+  }
+
+  /**
+   * Check whether the job wants an inbound message, i.e. whether it's waiting
+   * for one and the message satisfies the config's inbound rules and
+   * the filter it's waiting with.
+   *
+   * @param  {Object}  msg
+   *
+   * @return {?String} - "explicit" if rules matched, "implicit" if there are no rules, otherwise null
+   */
+  claimInbound (msg) {
+    const rules = this.config.inbound
+
+    if (!inbound.matches(rules, msg)) return null
+
+    const wait = this.waits.find(wait => inbound.matches(wait.filter, msg))
+
+    if (!wait) return null
+
+    return inbound.hasRules(rules) || inbound.hasRules(wait.filter)
+      ? 'explicit'
+      : 'implicit'
+  }
+
+  /**
+   * @param {Object} msg
+   */
+  deliverInbound (msg) {
+    const wait = this.waits.find(wait => inbound.matches(wait.filter, msg))
+
+    wait && wait.resolve(msg)
+    this.emit('inbound', msg)
+  }
+
+  /**
+   * Get when the job started waiting for an inbound message.
+   *
+   * @return {Number} - Infinity if it isn't waiting
+   */
+  waitingSince () {
+    return Math.min(...this.waits.map(wait => wait.since))
+  }
+
+  /**
+   * Wait for an inbound message (e.g. SMS) meant for the job.
+   *
+   * @param  {Number}            [timeout = 60000]
+   * @param  {Object}            [filter]          - only receive matching messages
+   * @param  {(String|String[])} [filter.to]
+   * @param  {(String|String[])} [filter.from]
+   * @param  {(RegExp|String)}   [filter.pattern]
    *
    * @return {Promise}
    */
-  async recvInbound (timeout = 60e3) {
-    const [sms] = await Promise.race([
-      EventEmitter.once(this, 'inbound'),
-      new Promise((resolve, reject) => {
-        setTimeout(() => reject(new Error()), timeout)
-      })
-    ])
+  async recvInbound (timeout = 60e3, filter = {}) {
+    const wait = { filter, since: Date.now() }
+    let timer
+
+    this.waits.push(wait)
+
+    try {
+      return await new Promise((resolve, reject) => {
+        wait.resolve = resolve
 
-    return sms
+        timer = setTimeout(() => {
+          reject(new Error('Timed out waiting for inbound message'))
+        }, timeout)
+      })
+    } finally {
+      clearTimeout(timer)
+      this.waits.splice(this.waits.indexOf(wait), 1)
+    }
   }
 
   /**
-   * @param  {Object} [opts]
-   * @param  {Number} [opts.length = 6]
-   * @param  {Object} [opts.timeout]
+   * @param  {Object}            [opts]
+   * @param  {Number}            [opts.length = 6]
+   * @param  {Object}            [opts.timeout]
+   * @param  {(String|String[])} [opts.to]
+   * @param  {(String|String[])} [opts.from]
+   * @param  {(RegExp|String)}   [opts.pattern]
    *
    * @return {Promise}
    */
-  async recvCode ({ length = 6, timeout } = {}) {
-    const { text } = await this.recvInbound(timeout)
+  async recvCode ({ length = 6, timeout, ...filter } = {}) {
+    const { text } = await this.recvInbound(timeout, filter)
     const regex = new RegExp(`\\d{${length}}`)
     const [code] = text.match(regex) || []
 
@@ -393,16 +727,361 @@ class Job extends EventEmitter {
     return code
   }
 
-  async setup () {}
+  /**
+   * Reset the page between attempts. If the job rotates proxies
+   * every attempt, relaunch the browser with the next proxy.
+   *
+   * @param  {String} between - "none", "reload", "page" (a fresh page) or "context" (a new incognito context)
+   * @param  {Number} attempt - number of the next attempt
+   *
+   * @return {Promise}
+   */
+  async prepareAttempt (between, attempt) {
+    const { proxy } = this.config.browser
+    const rotate = !!proxy && proxy.rotation === 'attempt'
+
+    if (!rotate && between === 'none') return
+
+    if (!rotate && between === 'reload') {
+      await this.page.reload()
+      return
+    }
+
+    const { context, page } = this
+
+    await this.saveTrace(`trace-${attempt - 1}.json`)
+
+    if (rotate) {
+      // The proxy is a launch argument so rotating it takes another browser.
+      await this.closeBrowser()
+      await this.launchBrowser()
+    } else if (between === 'context') {
+      this.context = await this.browser.createIncognitoBrowserContext()
+      await context.close()
+    } else {
+      await page.close()
+    }
+
+    this.page = await this.newPage()
+    await this.startTrace()
+    await this.sandbox.init(this.browser.wsEndpoint(), this.page.target()._targetId)
+  }
+
+  /**
+   * Get a context in a browser from the pool, going through a proxy
+   * from the job's proxy pool if it has one.
+   *
+   * @return {Promise}
+   */
+  async launchBrowser () {
+    const { headless, proxy } = this.config.browser
+    const args = []
+
+    this.proxy = null
+
+    if (typeof proxy === 'string' && proxy) {
+      this.proxy = proxies.parse(proxy)
+    } else if (proxy) {
+      const pool = this.proxies && this.proxies.get(proxy.pool)
+
+      if (!pool) {
+        throw new Error(`Unknown proxy pool "${proxy.pool}"`)
+      }
+
+      this.proxy = pool.pick(proxy.rotation === 'instance' ? this.scheduleId : null)
+      this.pool = pool
+    }
+
+    if (this.proxy) {
+      args.push('--proxy-server=' + this.proxy.server)
+      this.log.debug('Using proxy ' + this.proxy.server)
+    }
+
+    if (!this.browsers) {
+      throw new Error('No browser pool')
+    }
+
+    this.lease = await this.browsers.acquire({ headless, args })
+    this.browser = this.lease.browser
+    this.context = this.lease.context
+  }
+
+  /**
+   * Close the job's context and return its browser to the pool.
+   *
+   * @return {Promise}
+   */
+  async closeBrowser () {
+    if (!this.lease) return
+
+    try {
+      this.browser.isConnected() && await this.context.close()
+    } catch (err) {
+      this.log.warn('Failed to close browser context: ' + err.message)
+    }
+
+    this.lease.release()
+    this.lease = this.browser = this.context = this.page = null
+  }
+
+  /**
+   * Open a page in the job's context, authenticate with the proxy
+   * and apply the emulation options in the config.
+   *
+   * @return {Promise}
+   */
+  async newPage () {
+    const page = await this.context.newPage()
+
+    if (this.proxy && this.proxy.username) {
+      const { username, password } = this.proxy
+      await page.authenticate({ username, password })
+    }
+
+    await emulate(page, this.context, this.config.browser)
+
+    if (this.profile) {
+      const { cookies, localStorage } = this.profile.data
+
+      cookies.length && await page.setCookie(...cookies)
+
+      // Only fill in items the page hasn't set itself during this run.
+      await page.evaluateOnNewDocument(storage => {
+        const items = storage[window.location.origin] || {}
+
+        for (const key in items) {
+          window.localStorage.getItem(key) === null &&
+            window.localStorage.setItem(key, items[key])
+        }
+      }, localStorage)
+    }
+
+    return page
+  }
+
+  /**
+   * Claim and load the browser profile in the config, if there is one.
+   * Waits while another job is using the profile.
+   *
+   * @return {Promise}
+   */
+  async loadProfile () {
+    const name = this.config.browser.profile
+
+    if (!name) return
+
+    if (!this.profiles) {
+      throw new Error('No profile store')
+    }
+
+    this.profiles.inUse(name) && this.log(`Waiting for profile "${name}"`)
+
+    const release = await this.profiles.lock(name)
+
+    try {
+      const data = await this.profiles.load(name)
+      this.profile = { name, data, release }
+    } catch (err) {
+      release()
+      throw err
+    }
+  }
+
+  /**
+   * Save the page's cookies and localStorage back to the profile and release it.
+   *
+   * @return {Promise}
+   */
+  async saveProfile () {
+    if (!this.profile) return
+
+    const { name, data, release } = this.profile
+
+    this.profile = null
+
+    try {
+      if (this.page && this.browser.isConnected()) {
+        const session = await this.page.target().createCDPSession()
+        const { cookies } = await session.send('Network.getAllCookies')
+
+        await session.detach()
+
+        const { origin, items } = await this.page.evaluate(() => ({
+          origin: window.location.origin,
+          items: { ...window.localStorage }
+        }))
+
+        const localStorage = { ...data.localStorage }
 
-  async action () {
-    return true
+        if (origin !== 'null') {
+          localStorage[origin] = items
+        }
+
+        await this.profiles.save(name, { cookies, localStorage })
+        this.log(`Saved profile "${name}"`)
+      }
+    } catch (err) {
+      this.log.warn(`Failed to save profile "${name}": ` + err.message)
+    } finally {
+      release()
+    }
   }
 
-  async finalize () {}
+  /**
+   * Record whether the job's proxy worked, if it's from a pool.
+   *
+   * @param {Boolean} ok
+   */
+  reportProxy (ok) {
+    this.pool && this.proxy && this.pool.report(this.proxy, ok)
+  }
+
+  async startTrace () {
+    if (!this.config.artifacts.trace) return
+
+    try {
+      await this.page.tracing.start({ screenshots: true })
+      this.tracing = this.page.tracing
+    } catch (err) {
+      this.log.warn('Failed to start trace: ' + err.message)
+    }
+  }
+
+  /**
+   * @param  {String} name
+   *
+   * @return {Promise}
+   */
+  async saveTrace (name) {
+    if (!this.tracing) return
+
+    const { tracing } = this
+    this.tracing = null
+
+    try {
+      await this.artifact(name, await tracing.stop())
+    } catch (err) {
+      this.log.warn('Failed to save trace: ' + err.message)
+    }
+  }
+
+  /**
+   * Run the script in a sandbox connected to the job's page.
+   *
+   * @return {Promise}
+   */
+  async openSandbox () {
+    const { limits } = this.config
+    const methods = ['artifact', 'recvCode', 'recvInbound']
+
+    // Only the script sees the secrets that config.data references.
+    const data = this.secrets ? this.secrets.resolve(this.config.data) : this.config.data
+
+    this.sandbox = new Sandbox(this.script, { data, ...limits })
+
+    this.sandbox
+      .on('log', (level, message, data) => this.write(level, message, data))
+      .on('result', result => {
+        this.result = result
+      })
+      .on('request', (method, args, done) => {
+        if (!methods.includes(method)) {
+          done(new Error('Unknown method: ' + method))
+          return
+        }
+
+        this[method](...args).then(value => done(null, value), done)
+      })
+      .once('exit', reason => {
+        this.stopped || this.timedOut || this.log.error(reason)
+      })
+
+    const hooks = await this.sandbox.init(this.browser.wsEndpoint(), this.page.target()._targetId)
+
+    this.hooks = Object.fromEntries(hooks.map(hook => [hook, true]))
+  }
+
+  async setup () {
+    this.hooks.setup && await this.sandbox.call('setup')
+  }
+
+  async action (i) {
+    return this.hooks.action ? this.sandbox.call('action', i) : true
+  }
+
+  async finalize () {
+    const { schema } = this.config.output
+
+    this.hooks.finalize && await this.sandbox.call('finalize')
+    schema && Output.validate(schema, this.result)
+  }
+
+  /**
+   * In monitor mode, record what the run's changes are detected in:
+   * the text of the page region or (fields of) the result.
+   *
+   * @return {Promise}
+   */
+  async takeSnapshot () {
+    if (!this.config.monitor) return
+
+    const { fields, selector } = this.config.monitor
+
+    if (!selector) {
+      const snapshot = fields ? monitor.pick(this.result, fields) : this.result
+      this.run.monitor = { snapshot: this.refer(snapshot) }
+      return
+    }
+
+    try {
+      const text = await this.page.$$eval(selector, els => els.map(el => el.innerText).join('\n'))
+      const lines = text.split('\n').map(line => line.trim()).filter(Boolean)
+
+      this.run.monitor = { snapshot: { text: this.mask(lines) } }
+    } catch (err) {
+      this.log.warn('Failed to take snapshot: ' + err.message)
+    }
+  }
+
+  /**
+   * Close the browser and record how the run ended.
+   *
+   * @param  {String} outcome
+   * @param  {Error}  [err]
+   *
+   * @return {Promise}
+   */
+  async finish (outcome, err) {
+    await this.saveTrace('trace.json')
+    await this.saveProfile()
+
+    if (this.sandbox) {
+      this.sandbox.removeAllListeners('exit')
+      this.sandbox.terminate()
+      this.sandbox = null
+    }
+
+    await this.closeBrowser()
+    this.queue && this.queue.release(this)
+
+    if (this.run) {
+      const { run } = this
+      const levels = { completed: 'info', stopped: 'warn' }
+
+      run.result = this.refer(this.result)
+      run.end(this.stopped ? 'stopped' : outcome, err)
+
+      this.report({
+        type: run.outcome,
+        level: levels[run.outcome] || 'error',
+        text: 'Run ' + run.outcome + (run.error ? ': ' + run.error : ''),
+        result: run.result
+      })
+
+      this.emit('run', run)
+      this.run = null
+    }
 
-  async finish () {
-    this.browser && await this.browser.close()
     this.running && this.changeState('done')
   }
 }
@@ -0,0 +1,211 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const util = require('./util')
+
+/** @module logs */
+
+const levels = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Make a log function that logs at "info", with a method for each level,
+ * e.g. log('Clicked') or log.warn('No results', { query }).
+ *
+ * @param  {Function} write - called with (level, message, data)
+ *
+ * @return {Function}
+ */
+const logger = write => {
+  const log = (message, data) => write('info', message, data)
+
+  levels.forEach(level => {
+    log[level] = (message, data) => write(level, message, data)
+  })
+
+  return log
+}
+
+/**
+ * @param  {Object} entry
+ *
+ * @return {String} - e.g. "[2020-10-01T00:00:00.000Z] WARN No results {"query":"foo"}"
+ */
+const format = ({ time, level, message, data }) => {
+  const line = `[${time}] ${level.toUpperCase()} ${message}`
+
+  return data === undefined ? line : line + ' ' + JSON.stringify(data)
+}
+
+/**
+ * Filter log entries.
+ *
+ * @param  {Object[]} entries
+ * @param  {Object}   [opts]
+ * @param  {Date}     [opts.since] - only entries logged after this time
+ * @param  {String}   [opts.level] - only entries at or above this level
+ * @param  {Number}   [opts.tail]  - only the last n entries
+ *
+ * @return {Object[]}
+ */
+const filter = (entries, { since, level, tail } = {}) => {
+  const min = levels.indexOf(level)
+
+  entries = entries.filter(entry => {
+    if (since && !(new Date(entry.time) > since)) return false
+
+    return levels.indexOf(entry.level) >= min
+  })
+
+  return tail ? entries.slice(-tail) : entries
+}
+
+/**
+ * Class that writes each job's log entries to JSONL files.
+ * When a file gets too big, it's rotated and the oldest file is deleted.
+ */
+class LogStore {
+  /**
+   * @param {String} [dir]
+   * @param {Object} [opts]
+   * @param {Number} [opts.maxSize = 5242880] - bytes in a file before it's rotated
+   * @param {Number} [opts.maxFiles = 3]      - rotated files kept per job
+   */
+  constructor (dir = path.join(__dirname, '..', 'out', 'logs'), {
+    maxSize = 5 * 2 ** 20,
+    maxFiles = 3
+  } = {}) {
+    this.dir = dir
+    this.maxFiles = maxFiles
+    this.maxSize = maxSize
+    this.sizes = new Map()
+    this.writes = new Map()
+  }
+
+  file (jobId, n = 0) {
+    return path.join(this.dir, n ? `${jobId}.${n}.jsonl` : `${jobId}.jsonl`)
+  }
+
+  async size (jobId) {
+    if (!this.sizes.has(jobId)) {
+      try {
+        const { size } = await fs.promises.stat(this.file(jobId))
+        this.sizes.set(jobId, size)
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+        this.sizes.set(jobId, 0)
+      }
+    }
+
+    return this.sizes.get(jobId)
+  }
+
+  async rotate (jobId) {
+    for (let n = this.maxFiles; n > 0; n--) {
+      try {
+        n === this.maxFiles
+          ? await fs.promises.unlink(this.file(jobId, n))
+          : await fs.promises.rename(this.file(jobId, n), this.file(jobId, n + 1))
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+      }
+    }
+
+    this.maxFiles
+      ? await fs.promises.rename(this.file(jobId), this.file(jobId, 1))
+      : await fs.promises.unlink(this.file(jobId))
+
+    this.sizes.set(jobId, 0)
+  }
+
+  /**
+   * Append an entry to its job's log file.
+   *
+   * @param  {Object} entry
+   *
+   * @return {Promise}
+   */
+  append (entry) {
+    const line = JSON.stringify(entry) + '\n'
+    const bytes = Buffer.byteLength(line)
+    const { jobId } = entry
+
+    return util.enqueue(this.writes, jobId, async () => {
+      await fs.promises.mkdir(this.dir, { recursive: true })
+
+      const size = await this.size(jobId)
+
+      if (size && size + bytes > this.maxSize) {
+        await this.rotate(jobId)
+      }
+
+      await fs.promises.appendFile(this.file(jobId), line)
+      this.sizes.set(jobId, this.sizes.get(jobId) + bytes)
+    })
+  }
+
+  /**
+   * Read a job's log entries, oldest first.
+   *
+   * @param  {String}   jobId
+   * @param  {Object}   [opts] - see {@link filter}
+   *
+   * @return {Promise}
+   */
+  async read (jobId, opts) {
+    const entries = []
+
+    await util.enqueue(this.writes, jobId, async () => {
+      for (let n = this.maxFiles; n >= 0; n--) {
+        let data
+
+        try {
+          data = await fs.promises.readFile(this.file(jobId, n), 'utf8')
+        } catch (err) {
+          if (err.code === 'ENOENT') continue
+          throw err
+        }
+
+        data
+          .split('\n')
+          .filter(Boolean)
+          .forEach(line => {
+            try {
+              entries.push(JSON.parse(line))
+            } catch {}
+          })
+      }
+    })
+
+    return filter(entries, opts)
+  }
+
+  /**
+   * Delete a job's log files.
+   *
+   * @param  {String} jobId
+   *
+   * @return {Promise}
+   */
+  remove (jobId) {
+    return util.enqueue(this.writes, jobId, async () => {
+      this.sizes.delete(jobId)
+
+      for (let n = 0; n <= this.maxFiles; n++) {
+        try {
+          await fs.promises.unlink(this.file(jobId, n))
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err
+        }
+      }
+    })
+  }
+}
+
+module.exports = {
+  LogStore,
+  filter,
+  format,
+  levels,
+  logger
+}
@@ -1,13 +1,219 @@
 'use strict'
 
+const ArtifactStore = require('./artifacts')
+const BrowserPool = require('./browsers')
+const Config = require('./config')
 const Job = require('./job')
+const { LogStore } = require('./logs')
+const Metrics = require('./metrics')
+const monitor = require('./monitor')
+const Output = require('./output')
+const Pipeline = require('./pipeline')
+const ProfileStore = require('./profiles')
+const { ProxyPool } = require('./proxies')
+const Queue = require('./queue')
+const reporters = require('./reporters')
+const Run = require('./run')
+const Schedule = require('./schedule')
+const SecretStore = require('./secrets')
+const { Store } = require('./store')
+const util = require('./util')
 
 /**
  * Class for managing multiple jobs.
  */
 class Manager {
-  constructor () {
+  /**
+   * @param {Object}        [opts]
+   * @param {ArtifactStore} [opts.artifacts]
+   * @param {Object}        [opts.browsers]               - options for the {@link BrowserPool}
+   * @param {Number}        [opts.concurrency = Infinity] - max number of jobs running at once
+   * @param {LogStore}      [opts.logs]
+   * @param {Output}        [opts.output]                 - where results are exported
+   * @param {ProfileStore}  [opts.profiles]
+   * @param {Object}        [opts.proxies]                - proxy pools by name (see {@link ProxyPool})
+   * @param {SecretStore}   [opts.secrets]                - secrets that configs can reference
+   * @param {Object}        [opts.smtp]                   - nodemailer transport options for email reporters
+   * @param {Store}         [opts.store]                  - where jobs are persisted (defaults to nowhere)
+   */
+  constructor ({
+    artifacts = new ArtifactStore(),
+    browsers = {},
+    concurrency = Infinity,
+    logs = new LogStore(),
+    output = new Output(),
+    profiles = new ProfileStore(),
+    proxies = {},
+    secrets = new SecretStore(),
+    smtp,
+    store = new Store()
+  } = {}) {
+    this.artifacts = artifacts
+    this.browsers = new BrowserPool(browsers)
+      .on('launchError', () => this.metrics.browserLaunchFailures.inc())
     this.jobs = new Map()
+    this.logs = logs
+    this.metrics = new Metrics()
+    this.output = output
+    this.pipelines = new Map()
+    this.profiles = profiles
+
+    this.proxies = new Map(
+      Object.entries(proxies).map(([name, opts]) => {
+        opts = Array.isArray(opts) ? { proxies: opts } : opts
+        return [name, new ProxyPool(name, opts)]
+      })
+    )
+
+    this.queue = new Queue(concurrency)
+    this.reporters = new Map()
+    this.runs = new Map()
+    this.schedules = new Map()
+    this.secrets = secrets
+    this.smtp = smtp
+    this.store = store
+  }
+
+  /**
+   * Load secrets, then jobs, runs, pipelines and schedules from the store.
+   *
+   * @return {Promise}
+   */
+  async load () {
+    await this.secrets.load()
+
+    const runs = await this.store.loadRuns()
+
+    runs
+      .map(record => new Run(record))
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .forEach(run => {
+        if (!run.ended) {
+          run.end('interrupted')
+          this.saveRun(run)
+        }
+
+        this.addRun(run)
+      })
+
+    const records = await this.store.load()
+    const schedules = await this.store.loadSchedules()
+
+    for (const record of records) {
+      let job
+
+      // Recurring jobs from before schedules existed are turned into schedules.
+      // The ones that were never started are paused.
+      if (util.recurring(record.config.scheduling)) {
+        if (['created', 'scheduled'].includes(record.state)) {
+          this.store.remove(record.id).catch(console.error)
+          schedules.some(({ id }) => id === record.scheduleId) || schedules.push({
+            config: record.config,
+            script: record.script,
+            id: record.scheduleId,
+            nextRunAt: util.firstRun(record.config.scheduling) || new Date(),
+            state: record.state === 'scheduled' ? 'active' : 'paused'
+          })
+
+          continue
+        }
+
+        const { cron, every, ...scheduling } = record.config.scheduling
+        record.config.scheduling = scheduling
+      }
+
+      try {
+        job = Job.restore(record)
+      } catch (err) {
+        console.error('Failed to restore job ' + record.id + ': ' + err.message)
+        continue
+      }
+
+      this.watchJob(job)
+      this.saveJob(job)
+
+      // Jobs that were waiting for a slot go back in the queue.
+      record.state === 'queued' && job.start().catch(console.error)
+    }
+
+    for (const { def, ...opts } of await this.store.loadPipelines()) {
+      let pipeline
+
+      try {
+        pipeline = new Pipeline(def, opts)
+      } catch (err) {
+        console.error('Failed to restore pipeline ' + opts.id + ': ' + err.message)
+        continue
+      }
+
+      this.watchPipeline(pipeline)
+      pipeline.resume()
+    }
+
+    for (const { config, script, ...opts } of schedules) {
+      let schedule
+
+      try {
+        schedule = new Schedule(config, script, opts)
+      } catch (err) {
+        console.error('Failed to restore schedule ' + opts.id + ': ' + err.message)
+        continue
+      }
+
+      this.watchSchedule(schedule)
+      this.saveSchedule(schedule)
+      schedule.catchUp()
+    }
+  }
+
+  /**
+   * Validate a job config, including the things that depend on the manager.
+   *
+   * @param  {(Object|String)} config
+   *
+   * @return {Object}
+   */
+  validateConfig (config) {
+    config = Config.from(config)
+
+    const { proxy } = config.browser
+
+    if (proxy && proxy.pool && !this.proxies.has(proxy.pool)) {
+      throw new Error(`Unknown proxy pool "${proxy.pool}"`)
+    }
+
+    // Throws if a secret doesn't exist.
+    this.secrets.resolve(config.data)
+
+    return config
+  }
+
+  /**
+   * Check a config and script without creating a job, reporting every problem.
+   *
+   * @param  {(Object|String)} config
+   * @param  {String}          script
+   *
+   * @return {Promise}         - resolves { valid, config: { errors }, script: { errors, hooks } }
+   */
+  async checkJob (config, script) {
+    const { errors } = Config.validate(config)
+
+    if (!errors.length) {
+      try {
+        this.validateConfig(config)
+      } catch (err) {
+        errors.push({ path: '', message: err.message })
+      }
+    }
+
+    const check = await Job.check(script)
+
+    return {
+      valid: !errors.length && !check.errors.length,
+      config: { errors },
+      script: check
+    }
   }
 
   /**
@@ -15,31 +221,413 @@ class Manager {
    *
    * @param {Object} config
    * @param {String} script
+   * @param {Object} [opts]  - see {@link Job}
    */
-  addJob (config, script) {
-    const job = new Job(config, script)
+  addJob (config, script, opts) {
+    config = this.validateConfig(config)
 
-    const handleState = job => state => {
-      state === 'removed' && this.jobs.delete(job.id)
-    }
+    const job = new Job(config, script, opts)
 
-    const handleNext = job => {
-      job
-        .on('error', console.error)
-        .on('state', handleState(job))
-        .once('next', handleNext)
+    this.watchJob(job)
+    this.saveJob(job)
 
-      this.jobs.set(job.id, job)
+    return job
+  }
+
+  /**
+   * Start tracking a job.
+   *
+   * @param {Job} job
+   */
+  watchJob (job) {
+    let jobReporters
+
+    const createReporters = () => {
+      jobReporters && jobReporters.forEach(reporter => reporter.flush())
+      jobReporters = reporters.create(job.config, { smtp: this.smtp })
+      jobReporters.forEach(reporter => reporter.on('error', err => {
+        this.metrics.reporterFailures.inc({ type: reporter.type })
+        console.error(err)
+      }))
+      this.reporters.set(job.id, jobReporters)
     }
 
+    const handleState = state => {
+      if (state === 'removed') {
+        jobReporters.forEach(reporter => reporter.flush())
+        this.jobs.delete(job.id)
+        this.reporters.delete(job.id)
+        this.unassignProxies(job.scheduleId)
+        this.store.remove(job.id).catch(console.error)
+        this.artifacts.remove(job.id).catch(console.error)
+        this.logs.remove(job.id).catch(console.error)
+      } else {
+        this.saveJob(job)
+      }
+    }
+
+    createReporters()
+
     job
+      .on('change', () => {
+        createReporters()
+        this.saveJob(job)
+      })
       .on('error', console.error)
-      .on('state', handleState(job))
-      .once('next', handleNext)
+      .on('log', entry => {
+        this.logs.append(entry).catch(console.error)
+      })
+      .on('report', event => jobReporters.forEach(reporter => reporter.report(event)))
+      .on('run', run => {
+        this.addRun(run)
+        run.outcome === 'completed' && this.detectChanges(job, run)
+        this.saveRun(run)
+        // Instances share their batch's title, so the metrics' title label stays bounded.
+        this.metrics.recordRun(run, job.baseTitle || job.config.title)
+        run.outcome === 'completed' && this.exportResult(job, run).catch(console.error)
+      })
+      .on('state', handleState)
 
+    job.artifacts = this.artifacts
+    job.browsers = this.browsers
+    job.profiles = this.profiles
+    job.proxies = this.proxies
+    job.queue = this.queue
+    job.secrets = this.secrets
     this.jobs.set(job.id, job)
+  }
 
-    return job
+  /**
+   * Forget the proxies picked for a job's instances (or a schedule's occurrences),
+   * unless a job or schedule still has them.
+   *
+   * @param {String} scheduleId
+   */
+  unassignProxies (scheduleId) {
+    if (this.schedules.has(scheduleId)) return
+    if (this.getJobs().some(job => job.scheduleId === scheduleId)) return
+
+    this.proxies.forEach(pool => pool.unassign(scheduleId))
+  }
+
+  /**
+   * Deliver pending reports and close the browsers, so the process can exit.
+   *
+   * @return {Promise}
+   */
+  close () {
+    this.browsers.closeAll()
+
+    const flushes = [...this.reporters.values()]
+      .flat()
+      .map(reporter => reporter.flush())
+
+    return Promise.all(flushes)
+  }
+
+  /**
+   * Create and start a pipeline of jobs.
+   *
+   * @param  {Object}   def - see {@link Pipeline}
+   *
+   * @return {Pipeline}
+   */
+  addPipeline (def) {
+    const pipeline = new Pipeline(def)
+
+    Object.values(pipeline.def.jobs).forEach(({ config }) => this.validateConfig(config))
+
+    this.watchPipeline(pipeline)
+    pipeline.start()
+
+    return pipeline
+  }
+
+  /**
+   * Start tracking a pipeline.
+   *
+   * @param {Pipeline} pipeline
+   */
+  watchPipeline (pipeline) {
+    const handleState = state => {
+      if (state === 'removed') {
+        this.pipelines.delete(pipeline.id)
+        this.store.removePipeline(pipeline.id).catch(console.error)
+      } else {
+        this.savePipeline(pipeline)
+      }
+    }
+
+    pipeline
+      .on('change', () => this.savePipeline(pipeline))
+      .on('state', handleState)
+
+    pipeline.manager = this
+    this.pipelines.set(pipeline.id, pipeline)
+  }
+
+  /**
+   * Persist a pipeline's current state.
+   *
+   * @param {Pipeline} pipeline
+   */
+  savePipeline (pipeline) {
+    this.pipelines.has(pipeline.id) && this.store.savePipeline(pipeline.serialize()).catch(console.error)
+  }
+
+  /**
+   * Get a pipeline by its id.
+   *
+   * @param  {String}   id
+   *
+   * @return {Pipeline}
+   */
+  getPipeline (id) {
+    return this.pipelines.get(id)
+  }
+
+  /**
+   * Get all pipelines.
+   *
+   * @return {Pipeline[]}
+   */
+  getPipelines () {
+    return [...this.pipelines.values()]
+  }
+
+  /**
+   * Create and start a schedule of recurring jobs.
+   *
+   * @param  {Object}   config
+   * @param  {String}   script
+   *
+   * @return {Schedule}
+   */
+  addSchedule (config, script) {
+    const schedule = new Schedule(this.validateConfig(config), script)
+
+    this.watchSchedule(schedule)
+    schedule.start()
+
+    return schedule
+  }
+
+  /**
+   * Start tracking a schedule.
+   *
+   * @param {Schedule} schedule
+   */
+  watchSchedule (schedule) {
+    const handleState = state => {
+      if (state === 'removed') {
+        this.schedules.delete(schedule.id)
+        this.unassignProxies(schedule.id)
+        this.store.removeSchedule(schedule.id).catch(console.error)
+      } else {
+        this.saveSchedule(schedule)
+      }
+    }
+
+    schedule
+      .on('change', () => this.saveSchedule(schedule))
+      .on('state', handleState)
+
+    schedule.manager = this
+    this.schedules.set(schedule.id, schedule)
+  }
+
+  /**
+   * Persist a schedule's current state.
+   *
+   * @param {Schedule} schedule
+   */
+  saveSchedule (schedule) {
+    this.schedules.has(schedule.id) && this.store.saveSchedule(schedule.serialize()).catch(console.error)
+  }
+
+  /**
+   * Get a schedule by its id.
+   *
+   * @param  {String}   id
+   *
+   * @return {Schedule}
+   */
+  getSchedule (id) {
+    return this.schedules.get(id)
+  }
+
+  /**
+   * Get all schedules.
+   *
+   * @return {Schedule[]}
+   */
+  getSchedules () {
+    return [...this.schedules.values()]
+  }
+
+  /**
+   * Persist a job's current state.
+   *
+   * @param {Job} job
+   */
+  saveJob (job) {
+    this.jobs.has(job.id) && this.store.save(job.serialize()).catch(console.error)
+  }
+
+  /**
+   * Persist a run's current state.
+   *
+   * @param {Run} run
+   */
+  saveRun (run) {
+    this.store.saveRun(run.toObject()).catch(console.error)
+  }
+
+  /**
+   * In monitor mode, compare a completed run's snapshot with the previous one
+   * and report the changes (unless it's too soon after the last report).
+   *
+   * @param {Job} job
+   * @param {Run} run
+   */
+  detectChanges (job, run) {
+    if (!job.config.monitor || !run.monitor) return
+
+    const { quiet, threshold } = job.config.monitor
+    const runs = this.getRuns(run.scheduleId).filter(other => other !== run && other.monitor)
+    const prev = runs[runs.length - 1]
+
+    if (!prev) {
+      job.log('Took first snapshot')
+      return
+    }
+
+    const changes = monitor.filter(monitor.diff(prev.monitor.snapshot, run.monitor.snapshot), threshold)
+
+    run.monitor.changes = changes
+
+    if (!changes.length) {
+      job.log('No changes')
+      return
+    }
+
+    const text = 'Changed: ' + monitor.summarize(changes)
+    const lastAlert = runs.filter(other => other.monitor.alerted).pop()
+
+    if (quiet && lastAlert && run.endedAt - lastAlert.endedAt < quiet * 1e3) {
+      job.log(text + ' (quiet period)')
+      return
+    }
+
+    run.monitor.alerted = true
+    job.log(text)
+    job.report({ type: 'changed', level: 'info', text, changes, result: run.result })
+  }
+
+  /**
+   * Export the result of a completed run to the sinks in the job's config.
+   *
+   * @param  {Job}     job
+   * @param  {Run}     run
+   *
+   * @return {Promise}
+   */
+  async exportResult (job, run) {
+    const { dedupe, sinks } = job.config.output
+
+    if (!sinks.length) return
+
+    // A script can leave the result null (or set it to something other than an object).
+    const field = result => result && typeof result === 'object'
+      ? JSON.stringify(result[dedupe])
+      : undefined
+
+    const key = dedupe && field(run.result)
+
+    const duplicate = key !== undefined && this.getRuns(run.scheduleId).some(other => {
+      return other !== run && other.outcome === 'completed' && field(other.result) === key
+    })
+
+    if (duplicate) {
+      job.log(`Skipped exporting result with duplicate ${dedupe}: ${key}`)
+      return
+    }
+
+    const errors = await this.output.write(sinks, {
+      jobId: job.id,
+      runId: run.id,
+      scheduleId: run.scheduleId,
+      title: job.config.title,
+      endedAt: run.endedAt,
+      result: run.result
+    })
+
+    errors.forEach(({ type, error }) => {
+      job.log.error(`Failed to export result to ${type} sink: ${error.message}`)
+    })
+  }
+
+  addRun (run) {
+    const runs = this.runs.get(run.scheduleId) || []
+
+    runs.includes(run) || runs.push(run)
+    this.runs.set(run.scheduleId, runs)
+  }
+
+  /**
+   * Get every run of a schedule (or of a job that isn't part of one).
+   *
+   * @param  {String} scheduleId
+   *
+   * @return {Run[]}
+   */
+  getRuns (scheduleId) {
+    return this.runs.get(scheduleId) || []
+  }
+
+  /**
+   * Route an inbound message (e.g. SMS) to the jobs waiting for it.
+   * Every job whose inbound rules match gets the message. If there are none,
+   * the job without rules that has been waiting longest gets it.
+   *
+   * @param  {Object} msg
+   * @param  {String} [msg.from]
+   * @param  {String} [msg.to]
+   * @param  {String} msg.text
+   *
+   * @return {Job[]} - the jobs the message was delivered to
+   */
+  routeInbound (msg) {
+    const claims = this.getJobs()
+      .map(job => ({ job, claim: job.claimInbound(msg) }))
+      .filter(({ claim }) => claim)
+
+    let jobs = claims
+      .filter(({ claim }) => claim === 'explicit')
+      .map(({ job }) => job)
+
+    if (!jobs.length) {
+      jobs = claims
+        .map(({ job }) => job)
+        .sort((a, b) => a.waitingSince() - b.waitingSince())
+        .slice(0, 1)
+    }
+
+    jobs.forEach(job => job.deliverInbound(msg))
+
+    const provider = msg.provider || 'api'
+
+    this.metrics.inboundReceived.inc({ provider })
+    jobs.length && this.metrics.inboundRouted.inc({ provider })
+
+    return jobs
+  }
+
+  /**
+   * Update the metrics that are counted when they're rendered.
+   */
+  updateMetrics () {
+    this.metrics.countJobs(this.getJobs())
   }
 
   /**
@@ -0,0 +1,171 @@
+'use strict'
+
+const vm = require('vm')
+
+/**
+ * The worker's function constructors. Scripts that reach one of them
+ * (e.g. through this.log.constructor) get the vm context's instead.
+ */
+const constructors = [
+  Function,
+  Object.getPrototypeOf(async function () {}).constructor,
+  Object.getPrototypeOf(function * () {}).constructor,
+  Object.getPrototypeOf(async function * () {}).constructor
+]
+
+/**
+ * Properties of sloppy-mode functions that expose their callers.
+ */
+const blocked = ['arguments', 'callee', 'caller']
+
+const isObject = value => value !== null && ['function', 'object'].includes(typeof value)
+
+/**
+ * Class that lets a job's script (in a vm context) and the worker use each other's
+ * objects without either getting hold of the other's. Each side only sees the other's
+ * objects through proxies, and whatever crosses over (properties, arguments, return values,
+ * errors and prototypes) is wrapped too. So the script never reaches the worker's
+ * Function constructor, and with it the worker's globals (e.g. process).
+ */
+class Membrane {
+  /**
+   * @param {Object} context - a contextified object (see vm.createContext())
+   */
+  constructor (context) {
+    const own = vm.runInContext(`[
+      Function,
+      Object.getPrototypeOf(async function () {}).constructor,
+      Object.getPrototypeOf(function * () {}).constructor,
+      Object.getPrototypeOf(async function * () {}).constructor
+    ]`, context)
+
+    this.constructors = new Map(constructors.map((ctor, i) => [ctor, own[i]]))
+
+    this.originals = new WeakMap()
+    this.proxies = { context: new WeakMap(), worker: new WeakMap() }
+  }
+
+  /**
+   * Let the script use a value from the worker.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  toContext (value) {
+    return this.pass(value, 'worker')
+  }
+
+  /**
+   * Let the worker use a value from the script.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  toWorker (value) {
+    return this.pass(value, 'context')
+  }
+
+  pass (value, from) {
+    if (!isObject(value)) return value
+
+    // A proxy going back to its own side is unwrapped.
+    if (this.originals.has(value)) return this.originals.get(value)
+
+    if (from === 'worker' && this.constructors.has(value)) {
+      return this.constructors.get(value)
+    }
+
+    const proxies = this.proxies[from]
+
+    proxies.has(value) || proxies.set(value, this.wrap(value, from))
+
+    return proxies.get(value)
+  }
+
+  /**
+   * @param  {(Object|Function)} value
+   * @param  {String}            from  - "context" or "worker"
+   *
+   * @return {Proxy}
+   */
+  wrap (value, from) {
+    const to = from === 'worker' ? 'context' : 'worker'
+    const out = value => this.pass(value, from)
+    const back = value => this.pass(value, to)
+
+    const guard = fn => (...args) => {
+      try {
+        return fn(...args)
+      } catch (err) {
+        throw out(err)
+      }
+    }
+
+    const describe = (desc, own) => {
+      if (!desc) return desc
+
+      'value' in desc && (desc.value = out(desc.value))
+      desc.get && (desc.get = out(desc.get))
+      desc.set && (desc.set = out(desc.set))
+
+      // The target is a stand-in, so it can't vouch for non-configurable properties.
+      if (!own || own.configurable) desc.configurable = true
+
+      return desc
+    }
+
+    // A stand-in target, so proxy invariants never force an unwrapped value through.
+    // Bound functions have no "prototype" property but can still be constructed.
+    const target = typeof value === 'function'
+      ? function () {}.bind()
+      : Array.isArray(value) ? [] : {}
+
+    const proxy = new Proxy(target, {
+      apply: guard((target, self, args) => {
+        return out(Reflect.apply(value, back(self), args.map(back)))
+      }),
+
+      construct: guard((target, args, newTarget) => {
+        return out(Reflect.construct(value, args.map(back), back(newTarget)))
+      }),
+
+      defineProperty: guard((target, key, desc) => {
+        if (desc.configurable === false) return false
+
+        'value' in desc && (desc.value = back(desc.value))
+        desc.get && (desc.get = back(desc.get))
+        desc.set && (desc.set = back(desc.set))
+
+        return Reflect.defineProperty(value, key, desc)
+      }),
+
+      deleteProperty: guard((target, key) => Reflect.deleteProperty(value, key)),
+
+      get: guard((target, key) => {
+        if (typeof value === 'function' && blocked.includes(key)) return undefined
+
+        return out(Reflect.get(value, key))
+      }),
+
+      getOwnPropertyDescriptor: guard((target, key) => {
+        return describe(Reflect.getOwnPropertyDescriptor(value, key), Reflect.getOwnPropertyDescriptor(target, key))
+      }),
+
+      getPrototypeOf: guard(() => out(Reflect.getPrototypeOf(value))),
+      has: guard((target, key) => Reflect.has(value, key)),
+      isExtensible: target => Reflect.isExtensible(target),
+      ownKeys: guard(() => Reflect.ownKeys(value)),
+      preventExtensions: () => false,
+      set: guard((target, key, newValue) => Reflect.set(value, key, back(newValue))),
+      setPrototypeOf: guard((target, proto) => Reflect.setPrototypeOf(value, back(proto)))
+    })
+
+    this.originals.set(proxy, value)
+
+    return proxy
+  }
+}
+
+module.exports = Membrane
@@ -0,0 +1,129 @@
+'use strict'
+
+const { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } = require('prom-client')
+
+/**
+ * Class that keeps the server's Prometheus metrics.
+ */
+class Metrics {
+  constructor () {
+    this.registry = new Registry()
+
+    const registers = [this.registry]
+
+    collectDefaultMetrics({ register: this.registry, prefix: 'zaark_' })
+
+    this.jobs = new Gauge({
+      name: 'zaark_jobs',
+      help: 'Number of jobs by state',
+      labelNames: ['state'],
+      registers
+    })
+
+    this.runsStarted = new Counter({
+      name: 'zaark_runs_started_total',
+      help: 'Number of runs started by job title',
+      labelNames: ['title'],
+      registers
+    })
+
+    this.runsEnded = new Counter({
+      name: 'zaark_runs_ended_total',
+      help: 'Number of runs ended by job title and outcome',
+      labelNames: ['title', 'outcome'],
+      registers
+    })
+
+    this.runDuration = new Histogram({
+      name: 'zaark_run_duration_seconds',
+      help: 'How long runs took',
+      buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+      registers
+    })
+
+    this.runAttempts = new Histogram({
+      name: 'zaark_run_attempts',
+      help: 'How many times runs called action()',
+      buckets: [1, 2, 3, 5, 10, 20, 50],
+      registers
+    })
+
+    this.browserLaunchFailures = new Counter({
+      name: 'zaark_browser_launch_failures_total',
+      help: 'Number of browsers that failed to launch',
+      registers
+    })
+
+    this.inboundReceived = new Counter({
+      name: 'zaark_inbound_received_total',
+      help: 'Number of inbound messages received by provider',
+      labelNames: ['provider'],
+      registers
+    })
+
+    this.inboundRouted = new Counter({
+      name: 'zaark_inbound_routed_total',
+      help: 'Number of inbound messages routed to at least one job by provider',
+      labelNames: ['provider'],
+      registers
+    })
+
+    this.reporterFailures = new Counter({
+      name: 'zaark_reporter_failures_total',
+      help: 'Number of reports that couldn\'t be delivered by reporter type',
+      labelNames: ['type'],
+      registers
+    })
+
+    this.connections = new Gauge({
+      name: 'zaark_websocket_connections',
+      help: 'Number of open WebSocket connections',
+      registers
+    })
+  }
+
+  /**
+   * Count jobs by state.
+   *
+   * @param {Job[]} jobs
+   */
+  countJobs (jobs) {
+    this.jobs.reset()
+    jobs.forEach(job => this.jobs.inc({ state: job.state }))
+  }
+
+  /**
+   * Record a run that started or ended.
+   *
+   * @param {Run}    run
+   * @param {String} title - shared by instances of the same batch
+   */
+  recordRun (run, title) {
+    if (!run.ended) {
+      this.runsStarted.inc({ title })
+      return
+    }
+
+    this.runsEnded.inc({ title, outcome: run.outcome })
+    this.runDuration.observe((run.endedAt - run.startedAt) / 1e3)
+    this.runAttempts.observe(run.attempts)
+  }
+
+  /**
+   * @return {String}
+   */
+  get contentType () {
+    return this.registry.contentType
+  }
+
+  /**
+   * Render the metrics in Prometheus text format.
+   *
+   * @return {Promise}
+   */
+  render () {
+    return this.registry.metrics()
+  }
+}
+
+module.exports = Metrics
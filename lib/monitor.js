@@ -0,0 +1,108 @@
+'use strict'
+
+/** @module monitor */
+
+const isObject = value => value !== null && typeof value === 'object'
+
+const isPrimitive = value => !isObject(value)
+
+/**
+ * Compare two snapshots. Objects are compared field by field, arrays of
+ * primitives (e.g. lines of text) as sets, and anything else by value.
+ *
+ * @param  {*}        prev
+ * @param  {*}        next
+ * @param  {String}   [path]
+ *
+ * @return {Object[]} - changes, e.g. { path: "price", type: "changed", from: 10, to: 12 }
+ */
+const diff = (prev, next, path = '') => {
+  if (Array.isArray(prev) && Array.isArray(next) && [...prev, ...next].every(isPrimitive)) {
+    return [
+      ...next.filter(value => !prev.includes(value)).map(value => ({ path, type: 'added', value })),
+      ...prev.filter(value => !next.includes(value)).map(value => ({ path, type: 'removed', value }))
+    ]
+  }
+
+  if (isObject(prev) && isObject(next) && Array.isArray(prev) === Array.isArray(next)) {
+    const keys = [...new Set([...Object.keys(prev), ...Object.keys(next)])]
+
+    return keys.flatMap(key => {
+      const subpath = path ? path + '.' + key : key
+
+      if (!(key in next)) return [{ path: subpath, type: 'removed', value: prev[key] }]
+      if (!(key in prev)) return [{ path: subpath, type: 'added', value: next[key] }]
+
+      return diff(prev[key], next[key], subpath)
+    })
+  }
+
+  return JSON.stringify(prev) === JSON.stringify(next)
+    ? []
+    : [{ path, type: 'changed', from: prev, to: next }]
+}
+
+/**
+ * Drop numeric changes that are smaller than a threshold.
+ *
+ * @param  {Object[]} changes
+ * @param  {Object}   [threshold]
+ * @param  {Number}   [threshold.absolute] - e.g. 1 ignores changes from 10 to 10.5
+ * @param  {Number}   [threshold.percent]  - e.g. 5 ignores changes from 100 to 104
+ *
+ * @return {Object[]}
+ */
+const filter = (changes, { absolute = 0, percent = 0 } = {}) => changes.filter(change => {
+  const { type, from, to } = change
+
+  if (type !== 'changed' || typeof from !== 'number' || typeof to !== 'number') return true
+
+  const delta = Math.abs(to - from)
+
+  return delta >= absolute && (!from || delta / Math.abs(from) * 100 >= percent)
+})
+
+/**
+ * @param  {Object[]} changes
+ *
+ * @return {String}   - e.g. "price: 10 -> 12, slots: +Mon 9am, slots: -Tue 2pm"
+ */
+const summarize = changes => changes
+  .map(({ path, type, value, from, to }) => {
+    const prefix = path ? path + ': ' : ''
+
+    switch (type) {
+      case 'added':
+        return prefix + '+' + JSON.stringify(value)
+
+      case 'removed':
+        return prefix + '-' + JSON.stringify(value)
+
+      default:
+        return prefix + JSON.stringify(from) + ' -> ' + JSON.stringify(to)
+    }
+  })
+  .join(', ')
+
+/**
+ * Pick fields (dot paths) from a result.
+ *
+ * @param  {Object}   result
+ * @param  {String[]} paths
+ *
+ * @return {Object}
+ */
+const pick = (result, paths) => Object.fromEntries(
+  paths.map(path => {
+    const value = path.split('.').reduce((value, key) => isObject(value) ? value[key] : undefined, result)
+
+    return [path, value === undefined ? null : value]
+  })
+)
+
+module.exports = {
+  diff,
+  filter,
+  pick,
+  summarize
+}
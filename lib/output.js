@@ -0,0 +1,173 @@
+'use strict'
+
+const fs = require('fs')
+const Joi = require('joi')
+const path = require('path')
+const csv = require('./csv')
+const util = require('./util')
+
+/**
+ * Class that exports the results of runs to the sinks in config.output.
+ * Files are written under one directory.
+ */
+class Output {
+  constructor (dir = path.join(__dirname, '..', 'out', 'results')) {
+    this.dir = dir
+    this.fields = new Map()
+    this.writes = new Map()
+  }
+
+  /**
+   * Check a result against the schema in config.output, e.g.
+   * { "price": "number", "notes": "string?" } where "?" makes a field optional.
+   *
+   * @param  {Object} schema
+   * @param  {Object} result
+   *
+   * @throws {Error} if the result is invalid
+   */
+  static validate (schema, result) {
+    const keys = Object.fromEntries(
+      Object.entries(schema).map(([field, type]) => {
+        const optional = type.endsWith('?')
+        const key = Joi[optional ? type.slice(0, -1) : type]()
+
+        return [field, optional ? key.allow(null) : key.required()]
+      })
+    )
+
+    const { error } = Joi.object(keys).unknown().validate(result)
+
+    if (error) {
+      throw new Error('Invalid result: ' + error.message)
+    }
+  }
+
+  async jsonl ({ file }, record) {
+    file = path.join(this.dir, file)
+
+    await util.enqueue(this.writes, file, async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.appendFile(file, JSON.stringify(record) + '\n')
+    })
+  }
+
+  async csv ({ file, fields }, record) {
+    file = path.join(this.dir, file)
+
+    await util.enqueue(this.writes, file, async () => {
+      // Keep the columns of an existing file.
+      const existing = await this.csvFields(file)
+
+      fields = existing || fields || Object.keys(record)
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.appendFile(file, csv.stringify([record], fields, { header: !existing }))
+
+      this.fields.set(file, fields)
+    })
+  }
+
+  /**
+   * Get the columns of a CSV file from its header, which is only read
+   * the first time (unless the file is removed or emptied).
+   *
+   * @param  {String}  file
+   *
+   * @return {Promise} - resolves the fields, or null if the file is missing or empty
+   */
+  async csvFields (file) {
+    let stats
+
+    try {
+      stats = await fs.promises.stat(file)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+
+    if (!stats || !stats.size) {
+      this.fields.delete(file)
+      return null
+    }
+
+    if (this.fields.has(file)) return this.fields.get(file)
+
+    const handle = await fs.promises.open(file, 'r')
+    const chunks = []
+
+    try {
+      const buf = Buffer.alloc(64 * 1024)
+
+      // Read until the end of the header line.
+      while (true) {
+        const { bytesRead } = await handle.read(buf, 0, buf.length, null)
+
+        if (!bytesRead) break
+
+        const chunk = buf.slice(0, bytesRead)
+        const i = chunk.indexOf('\n')
+
+        chunks.push(i === -1 ? chunk : chunk.slice(0, i + 1))
+
+        if (i !== -1) break
+      }
+    } finally {
+      await handle.close()
+    }
+
+    return csv.split(Buffer.concat(chunks).toString('utf8'))[0]
+  }
+
+  async json ({ dir }, record) {
+    const file = path.join(this.dir, dir, record.runId + '.json')
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    await fs.promises.writeFile(file, JSON.stringify(record, null, 2))
+  }
+
+  async http ({ url, headers }, record) {
+    const resp = await util.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(record)
+    })
+
+    if (resp.statusCode >= 300) {
+      throw new Error(`POST ${url} failed with ${resp.statusCode}`)
+    }
+  }
+
+  /**
+   * Export a run's result to every sink. A sink that fails doesn't stop the others.
+   *
+   * @param  {Object[]} sinks - config.output.sinks
+   * @param  {Object}   record
+   * @param  {String}   record.jobId
+   * @param  {String}   record.runId
+   * @param  {String}   record.title
+   * @param  {Date}     record.endedAt
+   * @param  {Object}   record.result
+   *
+   * @return {Promise}  - resolves [{ type, error }] for the sinks that failed
+   */
+  async write (sinks, record) {
+    const errors = []
+
+    for (const sink of sinks) {
+      // Tables get a row with the result's fields.
+      const data = sink.type === 'csv'
+        ? { runId: record.runId, endedAt: record.endedAt, ...record.result }
+        : record
+
+      try {
+        await this[sink.type](sink, data)
+      } catch (err) {
+        errors.push({ type: sink.type, error: err })
+      }
+    }
+
+    return errors
+  }
+}
+
+module.exports = Output
@@ -0,0 +1,343 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Joi = require('joi')
+const uuid = require('uuid').v4
+const Config = require('./config')
+const steps = require('./steps')
+const util = require('./util')
+
+const schema = Joi.object({
+  title: Joi.string().required(),
+
+  jobs: Joi.object()
+    .pattern(/^[\w-]+$/, Joi.object({
+      config: Joi.alternatives(Joi.object(), Joi.string()).required(),
+      script: Joi.string(),
+      steps: Joi.alternatives(Joi.array(), Joi.object(), Joi.string()),
+      after: Joi.array().items(Joi.string()).single().default([])
+    }).xor('script', 'steps'))
+    .min(1)
+    .required()
+})
+
+/**
+ * Class for a DAG of jobs. A job starts once the jobs it comes after
+ * have completed, with their results merged into its config.data.
+ * Secrets in the results are passed on as references, never stored.
+ *
+ * When a job fails (or is cancelled), the jobs after it are skipped.
+ *
+ * @extends EventEmitter
+ */
+class Pipeline extends EventEmitter {
+  /**
+   * @param {Object} def
+   * @param {String} def.title
+   * @param {Object} def.jobs           - { config, script (or steps), after } by name
+   * @param {Object} [opts]             - used when restoring a pipeline
+   * @param {String} [opts.id]
+   * @param {Object} [opts.nodes]       - { state, jobId, result, error } by name
+   * @param {String} [opts.state]
+   */
+  constructor (def, {
+    id = uuid(),
+    nodes = {},
+    state = 'created'
+  } = {}) {
+    super()
+
+    this.def = Pipeline.validate(def)
+    this.id = id
+    this.manager = null
+    this.state = state
+    this.unwatchers = new Map()
+
+    this.nodes = Object.fromEntries(
+      Object.keys(this.def.jobs).map(name => [name, {
+        state: 'pending',
+        jobId: null,
+        result: null,
+        error: null,
+        ...nodes[name]
+      }])
+    )
+  }
+
+  /**
+   * Validate a pipeline definition.
+   *
+   * @param  {Object} def
+   *
+   * @return {Object}
+   */
+  static validate (def) {
+    const { error, value } = schema.validate(def)
+
+    if (error) throw error
+
+    const names = Object.keys(value.jobs)
+
+    for (const [name, job] of Object.entries(value.jobs)) {
+      const { after, config } = job
+
+      after.forEach(upstream => {
+        if (!names.includes(upstream)) {
+          throw new Error(`Job "${name}" comes after unknown job "${upstream}"`)
+        }
+      })
+
+      if (util.firstRun(Config.from(config).scheduling)) {
+        throw new Error(`Job "${name}" can't be scheduled in a pipeline`)
+      }
+
+      if (job.steps) {
+        try {
+          job.script = steps.compile(job.steps)
+        } catch (err) {
+          throw new Error(`Job "${name}": ${err.message}`)
+        }
+
+        delete job.steps
+      }
+    }
+
+    // Visit jobs depth-first to find cycles.
+    const visited = new Set()
+
+    const visit = (name, path) => {
+      if (path.includes(name)) {
+        throw new Error('Pipeline has a cycle: ' + [...path, name].join(' -> '))
+      }
+
+      if (visited.has(name)) return
+
+      value.jobs[name].after.forEach(upstream => visit(upstream, [...path, name]))
+      visited.add(name)
+    }
+
+    names.forEach(name => visit(name, []))
+
+    return value
+  }
+
+  get ended () {
+    return ['completed', 'failed', 'cancelled'].includes(this.state)
+  }
+
+  changeState (state) {
+    this.state = state
+    this.emit('state', state)
+  }
+
+  /**
+   * Start the jobs that don't come after other jobs.
+   */
+  start () {
+    if (this.state !== 'created') {
+      throw new Error('Pipeline already started')
+    }
+
+    this.changeState('running')
+    this.advance()
+  }
+
+  /**
+   * Start every job whose upstream jobs completed, skip every job
+   * whose upstream jobs didn't, and end the pipeline if nothing is left.
+   */
+  advance () {
+    if (this.ended) return
+
+    let changed = true
+
+    while (changed) {
+      changed = false
+
+      for (const [name, node] of Object.entries(this.nodes)) {
+        if (node.state !== 'pending') continue
+
+        const upstream = this.def.jobs[name].after.map(name => this.nodes[name])
+
+        if (upstream.some(({ state }) => ['failed', 'skipped', 'cancelled'].includes(state))) {
+          node.state = 'skipped'
+          changed = true
+        } else if (upstream.every(({ state }) => state === 'completed')) {
+          this.startJob(name, upstream.map(({ result }) => result))
+          changed = true
+        }
+      }
+    }
+
+    this.emit('change')
+
+    const states = Object.values(this.nodes).map(({ state }) => state)
+
+    if (states.some(state => ['pending', 'running'].includes(state))) return
+
+    if (states.every(state => state === 'completed')) {
+      this.changeState('completed')
+    } else {
+      this.changeState(states.includes('failed') ? 'failed' : 'cancelled')
+    }
+  }
+
+  /**
+   * @param {String}   name
+   * @param {Object[]} results - of the upstream jobs
+   */
+  startJob (name, results) {
+    const node = this.nodes[name]
+    const { config, script } = this.def.jobs[name]
+    const { data, ...rest } = Config.from(config)
+
+    let job
+
+    try {
+      job = this.manager.addJob({ ...rest, data: Object.assign({}, data, ...results) }, script)
+    } catch (err) {
+      Object.assign(node, { state: 'failed', error: err.message })
+      return
+    }
+
+    node.jobId = job.id
+    node.state = 'running'
+
+    this.watchJob(name, job)
+    job.start().catch(console.error)
+  }
+
+  /**
+   * Settle a job's node when it finishes.
+   *
+   * @param {String} name
+   * @param {Job}    job
+   */
+  watchJob (name, job) {
+    const handleRun = run => {
+      if (!run.ended) return
+
+      const state = { completed: 'completed', stopped: 'cancelled' }[run.outcome] || 'failed'
+
+      this.settle(name, state, run.result, run.error)
+    }
+
+    const handleState = state => {
+      ['stopped', 'removed'].includes(state) && this.settle(name, 'cancelled')
+    }
+
+    job
+      .on('run', handleRun)
+      .on('state', handleState)
+
+    this.unwatchers.set(name, () => {
+      job
+        .removeListener('run', handleRun)
+        .removeListener('state', handleState)
+    })
+  }
+
+  settle (name, state, result = null, error = null) {
+    const node = this.nodes[name]
+    const unwatch = this.unwatchers.get(name)
+
+    if (node.state !== 'running') return
+
+    result = result && this.manager.secrets.refer(result)
+
+    Object.assign(node, { state, result, error })
+
+    unwatch && unwatch()
+    this.unwatchers.delete(name)
+    this.advance()
+  }
+
+  /**
+   * Watch the jobs that were running before the pipeline was restored.
+   * Jobs that were interrupted fail.
+   */
+  resume () {
+    if (this.state !== 'running') return
+
+    for (const [name, node] of Object.entries(this.nodes)) {
+      if (node.state !== 'running') continue
+
+      const job = this.manager.getJob(node.jobId)
+
+      if (job && (job.created || job.queued || job.running)) {
+        this.watchJob(name, job)
+      } else {
+        Object.assign(node, { state: 'failed', error: 'Interrupted by server restart' })
+      }
+    }
+
+    this.advance()
+  }
+
+  /**
+   * Stop the pipeline's running jobs and skip the rest.
+   */
+  cancel () {
+    if (this.ended) return
+
+    const nodes = Object.entries(this.nodes)
+
+    nodes.forEach(([, node]) => {
+      if (node.state === 'pending') node.state = 'cancelled'
+    })
+
+    nodes.forEach(([name, node]) => {
+      const job = node.state === 'running' && this.manager.getJob(node.jobId)
+
+      job && job.stop()
+
+      // In case stopping the job didn't settle it (e.g. it hadn't started yet).
+      this.settle(name, 'cancelled')
+    })
+
+    this.advance()
+  }
+
+  /**
+   * Cancel the pipeline and stop tracking it. Its jobs are kept.
+   */
+  rm () {
+    this.cancel()
+    this.changeState('removed')
+  }
+
+  /**
+   * Return an object representation of the pipeline's state.
+   *
+   * @return {Object}
+   */
+  toObject () {
+    return {
+      id: this.id,
+      title: this.def.title,
+      state: this.state,
+      jobs: Object.fromEntries(
+        Object.entries(this.nodes).map(([name, node]) => [name, {
+          ...node,
+          after: this.def.jobs[name].after
+        }])
+      )
+    }
+  }
+
+  /**
+   * Return everything needed to restore the pipeline.
+   *
+   * @return {Object}
+   */
+  serialize () {
+    return {
+      def: this.def,
+      id: this.id,
+      nodes: this.nodes,
+      state: this.state
+    }
+  }
+}
+
+module.exports = Pipeline
@@ -0,0 +1,143 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Class that keeps named browser profiles (cookies and localStorage)
+ * so jobs can stay logged in between runs.
+ *
+ * Only one job can use a profile at a time.
+ */
+class ProfileStore {
+  constructor (dir = path.join(__dirname, '..', 'out', 'profiles')) {
+    this.dir = dir
+    this.locks = new Map()
+  }
+
+  /**
+   * @param  {String} name
+   *
+   * @return {Boolean}
+   */
+  static isValidName (name) {
+    return typeof name === 'string' && /^[\w-]+$/.test(name)
+  }
+
+  file (name) {
+    if (!ProfileStore.isValidName(name)) {
+      throw new Error('Invalid profile name: ' + name)
+    }
+
+    return path.join(this.dir, name + '.json')
+  }
+
+  /**
+   * Wait until no other job is using the profile, then claim it.
+   *
+   * @param  {String}  name
+   *
+   * @return {Promise} - resolves a function that releases the profile
+   */
+  async lock (name) {
+    const prev = this.locks.get(name) || Promise.resolve()
+    let release
+
+    const next = prev.then(() => new Promise(resolve => {
+      release = () => {
+        this.locks.get(name) === next && this.locks.delete(name)
+        resolve()
+      }
+    }))
+
+    this.locks.set(name, next)
+
+    await prev
+
+    return release
+  }
+
+  /**
+   * @param  {String}  name
+   *
+   * @return {Boolean}
+   */
+  inUse (name) {
+    return this.locks.has(name)
+  }
+
+  /**
+   * @param  {String} name
+   *
+   * @return {Promise} - resolves { cookies, localStorage }, empty if the profile doesn't exist yet
+   */
+  async load (name) {
+    try {
+      const data = await fs.promises.readFile(this.file(name), 'utf8')
+      return JSON.parse(data)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+
+    return { cookies: [], localStorage: {} }
+  }
+
+  /**
+   * @param  {String} name
+   * @param  {Object} profile
+   *
+   * @return {Promise}
+   */
+  async save (name, profile) {
+    const file = this.file(name)
+    const tmp = file + '.tmp'
+
+    await fs.promises.mkdir(this.dir, { recursive: true })
+    await fs.promises.writeFile(tmp, JSON.stringify(profile))
+    await fs.promises.rename(tmp, file)
+  }
+
+  /**
+   * List the stored profiles.
+   *
+   * @return {Promise}
+   */
+  async list () {
+    let filenames
+
+    try {
+      filenames = await fs.promises.readdir(this.dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+
+    return filenames
+      .filter(filename => filename.endsWith('.json'))
+      .map(filename => {
+        const name = filename.slice(0, -5)
+        return { name, inUse: this.inUse(name) }
+      })
+  }
+
+  /**
+   * Delete a profile.
+   *
+   * @param  {String} name
+   *
+   * @return {Promise}
+   */
+  async remove (name) {
+    if (this.inUse(name)) {
+      throw new Error(`Profile "${name}" is in use`)
+    }
+
+    try {
+      await fs.promises.unlink(this.file(name))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+}
+
+module.exports = ProfileStore
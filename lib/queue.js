@@ -0,0 +1,88 @@
+'use strict'
+
+/**
+ * Class that limits how many jobs run at once.
+ * Jobs that can't run yet wait in order of priority (highest first),
+ * then in the order they were queued.
+ */
+class Queue {
+  /**
+   * @param {Number} [concurrency = Infinity] - max number of running jobs
+   */
+  constructor (concurrency = Infinity) {
+    this.concurrency = concurrency
+    this.running = new Set()
+    this.waiting = []
+  }
+
+  /**
+   * Wait for a slot to run the job.
+   *
+   * @param  {Job}     job
+   *
+   * @return {Promise} - resolves true once the job can run, or false if it was removed from the queue
+   */
+  acquire (job) {
+    if (this.running.size < this.concurrency && !this.waiting.length) {
+      this.running.add(job)
+      return Promise.resolve(true)
+    }
+
+    return new Promise(resolve => {
+      const { priority } = job.config
+      let i = this.waiting.findIndex(entry => entry.job.config.priority < priority)
+
+      if (i === -1) {
+        i = this.waiting.length
+      }
+
+      this.waiting.splice(i, 0, { job, resolve })
+    })
+  }
+
+  /**
+   * Free the job's slot and let the next job in the queue run.
+   *
+   * @param {Job} job
+   */
+  release (job) {
+    this.running.delete(job) && this.drain()
+  }
+
+  /**
+   * Remove a waiting job from the queue.
+   *
+   * @param {Job} job
+   */
+  remove (job) {
+    const i = this.waiting.findIndex(entry => entry.job === job)
+
+    if (i === -1) return
+
+    const [{ resolve }] = this.waiting.splice(i, 1)
+    resolve(false)
+  }
+
+  /**
+   * Get a waiting job's position in the queue (starting at 1).
+   *
+   * @param  {Job} job
+   *
+   * @return {?Number}
+   */
+  position (job) {
+    const i = this.waiting.findIndex(entry => entry.job === job)
+
+    return i === -1 ? null : i + 1
+  }
+
+  drain () {
+    while (this.running.size < this.concurrency && this.waiting.length) {
+      const { job, resolve } = this.waiting.shift()
+      this.running.add(job)
+      resolve(true)
+    }
+  }
+}
+
+module.exports = Queue
@@ -0,0 +1,315 @@
+'use strict'
+
+const EventEmitter = require('events')
+const nodemailer = require('nodemailer')
+const { levels } = require('./logs')
+const retry = require('./retry')
+const util = require('./util')
+
+/** @module reporters */
+
+/**
+ * @param  {String} url
+ * @param  {Object} body
+ *
+ * @return {Promise}
+ */
+const post = async (url, body) => {
+  const resp = await util.request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  if (resp.statusCode >= 300) {
+    const err = new Error(`POST ${url} failed with ${resp.statusCode}`)
+
+    if (resp.statusCode === 429 && resp.headers['retry-after']) {
+      err.retryAfter = resp.headers['retry-after'] * 1e3
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Base class for reporters, which deliver job events (log lines, completions,
+ * failures, etc.) somewhere. Events are filtered, rendered with a template,
+ * batched, and retried if delivery fails.
+ *
+ * Subclasses implement send().
+ *
+ * @extends EventEmitter
+ */
+class Reporter extends EventEmitter {
+  /**
+   * @param {Object}   [opts]
+   * @param {String}   [opts.level = "info"]             - minimum level of events to report
+   * @param {String[]} [opts.events = ["log"]]           - types of events to report: "log", "changed"
+   *                                                        or a run outcome (e.g. "completed", "failed")
+   * @param {String}   [opts.template = "[{{title}}] {{text}}"]
+   * @param {Object}   [opts.batch]
+   * @param {Number}   [opts.batch.size = 20]            - max events per delivery
+   * @param {Number}   [opts.batch.interval = 2]         - seconds to collect events before delivering them
+   * @param {Number}   [opts.retries = 3]
+   */
+  constructor ({
+    level = 'info',
+    events = ['log'],
+    template = '[{{title}}] {{text}}',
+    batch = {},
+    retries = 3
+  } = {}) {
+    super()
+
+    this.batch = { size: 20, interval: 2, ...batch }
+    this.events = events
+    this.level = level
+    this.pending = []
+    this.retries = retries
+    this.sending = Promise.resolve()
+    this.template = template
+    this.timer = null
+  }
+
+  /**
+   * @param  {Object}  event
+   *
+   * @return {Boolean}
+   */
+  accepts (event) {
+    if (levels.indexOf(event.level) < levels.indexOf(this.level)) return false
+
+    return this.events.includes(event.type)
+  }
+
+  /**
+   * @param  {Object} event
+   *
+   * @return {String}
+   */
+  format (event) {
+    return util.render(this.template, event)
+  }
+
+  /**
+   * Queue an event for delivery.
+   *
+   * @param {Object} event
+   */
+  report (event) {
+    if (!this.accepts(event)) return
+
+    this.pending.push(event)
+
+    if (this.pending.length >= this.batch.size) {
+      this.flush()
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.batch.interval * 1e3)
+    }
+  }
+
+  /**
+   * Deliver queued events now.
+   *
+   * @return {Promise}
+   */
+  flush () {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    const events = this.pending.splice(0)
+
+    if (events.length) {
+      this.sending = this.sending.then(() => this.deliver(events))
+    }
+
+    return this.sending
+  }
+
+  async deliver (events) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.send(events)
+        return
+      } catch (err) {
+        if (attempt > this.retries) {
+          this.emit('error', err)
+          return
+        }
+
+        const policy = { backoff: 'exponential', delay: 1e3, factor: 2, jitter: 0.2 }
+        await util.sleep(err.retryAfter || retry.delay(policy, attempt))
+      }
+    }
+  }
+
+  /**
+   * Deliver a batch of events.
+   *
+   * @param  {Object[]} events
+   *
+   * @return {Promise}
+   */
+  async send (events) {
+    throw new Error('Not implemented')
+  }
+}
+
+/**
+ * Reporter that posts to a Discord webhook.
+ *
+ * @extends Reporter
+ */
+class DiscordReporter extends Reporter {
+  constructor ({ url, ...opts }) {
+    super(opts)
+    this.url = url
+  }
+
+  async send (events) {
+    const lines = events.map(event => this.format(event))
+
+    // Discord messages can't be longer than 2000 characters.
+    while (lines.length) {
+      let content = lines.shift().slice(0, 2000)
+
+      while (lines.length && content.length + lines[0].length < 2000) {
+        content += '\n' + lines.shift()
+      }
+
+      await post(this.url, { content, username: 'zaark' })
+    }
+  }
+}
+
+/**
+ * Reporter that posts to a Slack webhook.
+ *
+ * @extends Reporter
+ */
+class SlackReporter extends Reporter {
+  constructor ({ url, ...opts }) {
+    super(opts)
+    this.url = url
+  }
+
+  async send (events) {
+    const text = events.map(event => this.format(event)).join('\n')
+    await post(this.url, { text })
+  }
+}
+
+/**
+ * Reporter that posts events as JSON to any URL.
+ *
+ * @extends Reporter
+ */
+class WebhookReporter extends Reporter {
+  constructor ({ url, ...opts }) {
+    super(opts)
+    this.url = url
+  }
+
+  async send (events) {
+    const messages = events.map(event => this.format(event))
+    await post(this.url, { events, messages })
+  }
+}
+
+/**
+ * Reporter that sends emails through the server's SMTP transport.
+ *
+ * @extends Reporter
+ */
+class EmailReporter extends Reporter {
+  /**
+   * @param {Object}            opts
+   * @param {(String|String[])} opts.to
+   * @param {String}            [opts.subject = "[zaark] {{title}}"]
+   * @param {Object}            [opts.smtp]                          - nodemailer transport options, incl. "from"
+   */
+  constructor ({ to, subject = '[zaark] {{title}}', smtp, ...opts }) {
+    super(opts)
+
+    this.from = smtp && smtp.from
+    this.subject = subject
+    this.to = to
+    this.transport = smtp && nodemailer.createTransport(smtp)
+  }
+
+  async send (events) {
+    if (!this.transport) {
+      throw new Error('No SMTP transport configured')
+    }
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: util.render(this.subject, events[events.length - 1]),
+      text: events.map(event => this.format(event)).join('\n')
+    })
+  }
+}
+
+const types = {
+  discord: DiscordReporter,
+  email: EmailReporter,
+  slack: SlackReporter,
+  webhook: WebhookReporter
+}
+
+/**
+ * Add a type of reporter that job configs can use.
+ *
+ * @param {String}   type
+ * @param {Function} Class - subclass of {@link Reporter}
+ */
+const register = (type, Class) => {
+  if (!(Class.prototype instanceof Reporter)) {
+    throw new Error('Expected reporter class to extend Reporter')
+  }
+
+  types[type] = Class
+}
+
+/**
+ * Create the reporters in a job config. The legacy "reporting" URLs
+ * become Discord and Slack reporters with the default settings.
+ *
+ * In monitor mode, reporters only report changes unless they say otherwise.
+ *
+ * @param  {Object}     config
+ * @param  {Object}     [opts]
+ * @param  {Object}     [opts.smtp] - nodemailer transport options for email reporters
+ *
+ * @return {Reporter[]}
+ */
+const create = (config, { smtp } = {}) => {
+  const { reporting = {}, reporters = [] } = config
+  const defs = [...reporters]
+
+  reporting.discord && defs.push({ type: 'discord', url: reporting.discord })
+  reporting.slack && defs.push({ type: 'slack', url: reporting.slack })
+
+  const events = config.monitor ? ['changed'] : undefined
+
+  return defs.map(({ type, ...opts }) => {
+    const reporter = new types[type]({ events, ...opts, smtp })
+    reporter.type = type
+
+    return reporter
+  })
+}
+
+module.exports = {
+  DiscordReporter,
+  EmailReporter,
+  Reporter,
+  SlackReporter,
+  WebhookReporter,
+  create,
+  levels,
+  register,
+  types
+}
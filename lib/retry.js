@@ -0,0 +1,77 @@
+'use strict'
+
+/** @module retry */
+
+/**
+ * Get the retry policy for a scheduling config.
+ * Without a policy, attempts are retried after a fixed scheduling.delay.
+ *
+ * @param  {Object} scheduling
+ *
+ * @return {Object}
+ */
+const policy = ({ delay, retry = {} }) => ({
+  backoff: 'fixed',
+  between: 'reload',
+  factor: 2,
+  jitter: 0,
+  ...retry,
+  delay: retry.delay == null ? delay : retry.delay
+})
+
+/**
+ * Get how long to wait before the next attempt.
+ *
+ * @param  {Object} policy
+ * @param  {Number} attempt - number of the attempt that just failed (starting at 1)
+ *
+ * @return {Number} - milliseconds
+ */
+const delay = ({ backoff, delay, factor, jitter, maxDelay }, attempt) => {
+  let ms = delay
+
+  if (backoff === 'linear') {
+    ms = delay * attempt
+  } else if (backoff === 'exponential') {
+    ms = delay * factor ** (attempt - 1)
+  }
+
+  if (maxDelay != null) {
+    ms = Math.min(ms, maxDelay)
+  }
+
+  if (jitter) {
+    ms *= 1 + jitter * (2 * Math.random() - 1)
+  }
+
+  return Math.round(ms)
+}
+
+/**
+ * Check whether an attempt that threw an error should be retried.
+ * Errors marked fatal (i.e. this.fatal() in scripts) and errors matching
+ * one of the policy's "except" patterns are never retried. If the policy
+ * has "on" patterns, only errors matching one of them are retried.
+ * Patterns are tested against "<error name>: <error message>".
+ *
+ * @param  {Object}  policy
+ * @param  {Error}   err
+ *
+ * @return {Boolean}
+ */
+const retryable = ({ on, except }, err) => {
+  if (err.fatal) return false
+
+  const str = (err.name || 'Error') + ': ' + err.message
+  const matches = patterns => [].concat(patterns).some(pattern => new RegExp(pattern).test(str))
+
+  if (except && matches(except)) return false
+
+  return !on || matches(on)
+}
+
+module.exports = {
+  delay,
+  policy,
+  retryable
+}
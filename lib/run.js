@@ -0,0 +1,87 @@
+'use strict'
+
+const uuid = require('uuid').v4
+
+/**
+ * Class that records a single execution of a job.
+ */
+class Run {
+  /**
+   * @param {Object}   opts
+   * @param {String}   [opts.id]
+   * @param {String}   opts.jobId
+   * @param {String}   opts.scheduleId         - shared by every occurrence of a recurring job
+   * @param {Number}   [opts.attempts = 0]     - number of times action() was called
+   * @param {Date}     [opts.startedAt]
+   * @param {?Date}    [opts.endedAt]
+   * @param {?String}  [opts.outcome]          - "completed", "failed", "timedout", "stopped" or "interrupted"
+   * @param {?String}  [opts.error]
+   * @param {Object}   [opts.result]
+   * @param {String[]} [opts.artifacts]        - names of the artifacts saved during the run
+   * @param {?Object}  [opts.monitor]          - { snapshot, changes, alerted } in monitor mode
+   */
+  constructor ({
+    id = uuid(),
+    jobId,
+    scheduleId,
+    attempts = 0,
+    startedAt = new Date(),
+    endedAt = null,
+    outcome = null,
+    error = null,
+    result = {},
+    artifacts = [],
+    monitor = null
+  }) {
+    this.id = id
+    this.jobId = jobId
+    this.scheduleId = scheduleId
+    this.attempts = attempts
+    this.startedAt = new Date(startedAt)
+    this.endedAt = endedAt && new Date(endedAt)
+    this.outcome = outcome
+    this.error = error
+    this.result = result
+    this.artifacts = artifacts
+    this.monitor = monitor
+  }
+
+  get ended () {
+    return !!this.endedAt
+  }
+
+  /**
+   * Mark the run as over.
+   *
+   * @param {String}  outcome
+   * @param {Error}   [err]
+   */
+  end (outcome, err) {
+    this.endedAt = new Date()
+    this.outcome = outcome
+    this.error = err ? err.message : null
+  }
+
+  /**
+   * Return an object representation of the run.
+   *
+   * @return {Object}
+   */
+  toObject () {
+    return {
+      id: this.id,
+      jobId: this.jobId,
+      scheduleId: this.scheduleId,
+      attempts: this.attempts,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      outcome: this.outcome,
+      error: this.error,
+      result: this.result,
+      artifacts: this.artifacts,
+      monitor: this.monitor
+    }
+  }
+}
+
+module.exports = Run
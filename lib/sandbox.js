@@ -0,0 +1,189 @@
+'use strict'
+
+const EventEmitter = require('events')
+const path = require('path')
+const { Worker } = require('worker_threads')
+
+/**
+ * Class that runs a job's script in a worker thread with memory and CPU limits.
+ * If the script crashes, runs out of memory or blocks its event loop for too long,
+ * the worker is terminated and pending calls are rejected.
+ *
+ * The worker's requests (e.g. to receive a code) are handled by the "request" event's
+ * listener, which is passed the method, the arguments and a callback.
+ *
+ * @extends EventEmitter
+ */
+class Sandbox extends EventEmitter {
+  /**
+   * @param {String} script
+   * @param {Object} opts
+   * @param {Object} opts.data           - exposed to the script as this.data
+   * @param {Number} [opts.memory = 256] - max heap size in MB
+   * @param {Number} [opts.cpu = 30]     - max seconds the script can block the event loop
+   */
+  constructor (script, { data, memory = 256, cpu = 30 }) {
+    super()
+
+    this.calls = new Map()
+    this.cpu = cpu
+    this.dead = false
+    this.heartbeat = Date.now()
+    this.seq = 0
+
+    this.worker = new Worker(path.join(__dirname, 'worker.js'), {
+      workerData: { data, script },
+      resourceLimits: { maxOldGenerationSizeMb: memory }
+    })
+
+    this.watchdog = setInterval(() => {
+      if (Date.now() - this.heartbeat > this.cpu * 1e3) {
+        this.terminate('Script exceeded CPU time limit')
+      }
+    }, 1e3)
+
+    this.worker
+      .on('message', this.handleMessage.bind(this))
+      .on('error', err => this.terminate('Script crashed: ' + err.message))
+      .once('exit', () => this.terminate('Script exited'))
+  }
+
+  /**
+   * Run a script's top-level code in a short-lived worker to find the hooks it defines,
+   * without connecting it to a page or running its hooks.
+   *
+   * @param  {String}  script
+   * @param  {Object}  [opts]
+   * @param  {Number}  [opts.memory = 64]    - max heap size in MB
+   * @param  {Number}  [opts.timeout = 5e3]  - max milliseconds to wait for the worker
+   *
+   * @return {Promise} - resolves { hooks, error, stack } (error is null if the script is valid)
+   */
+  static check (script, { memory = 64, timeout = 5e3 } = {}) {
+    return new Promise(resolve => {
+      const worker = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData: { check: true, data: {}, script },
+        resourceLimits: { maxOldGenerationSizeMb: memory }
+      })
+
+      const done = ({ hooks = [], error = null, stack = '' }) => {
+        clearTimeout(timer)
+        worker.removeAllListeners()
+        worker.on('error', () => {})
+        worker.terminate()
+        resolve({ hooks, error, stack })
+      }
+
+      const timer = setTimeout(() => done({ error: 'Script timed out' }), timeout)
+
+      worker
+        .once('message', done)
+        .once('error', err => done({ error: 'Script crashed: ' + err.message }))
+        .once('exit', () => done({ error: 'Script exited' }))
+    })
+  }
+
+  handleMessage (msg) {
+    switch (msg.type) {
+      case 'heartbeat':
+        this.heartbeat = Date.now()
+        return
+
+      case 'log':
+        this.emit('log', msg.level, msg.message, msg.data)
+        return
+
+      case 'request':
+        this.emit('request', msg.method, msg.args, (err, value) => {
+          this.dead || this.worker.postMessage({
+            type: 'response',
+            id: msg.id,
+            error: err && err.message,
+            value
+          })
+        })
+
+        return
+
+      case 'return':
+      case 'throw': {
+        const call = this.calls.get(msg.id)
+
+        if (!call) return
+
+        this.calls.delete(msg.id)
+        this.emit('result', msg.result)
+
+        if (msg.type === 'return') {
+          call.resolve(msg.value)
+          return
+        }
+
+        const err = new Error(msg.error)
+        err.name = msg.name
+        err.fatal = msg.fatal
+
+        call.reject(err)
+      }
+    }
+  }
+
+  send (msg) {
+    if (this.dead) {
+      return Promise.reject(new Error(this.reason))
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.seq
+
+      this.calls.set(id, { resolve, reject })
+      this.worker.postMessage({ ...msg, id })
+    })
+  }
+
+  /**
+   * Connect the script to the job's page (again, if the job switched pages).
+   *
+   * @param  {String}  endpoint - the browser's WebSocket endpoint
+   * @param  {String}  targetId - the page's target id
+   *
+   * @return {Promise}
+   */
+  init (endpoint, targetId) {
+    return this.send({ type: 'init', endpoint, targetId })
+  }
+
+  /**
+   * Call one of the script's hooks.
+   *
+   * @param  {String} hook
+   * @param  {...*}   args
+   *
+   * @return {Promise}
+   */
+  call (hook, ...args) {
+    return this.send({ type: 'call', hook, args })
+  }
+
+  /**
+   * Kill the worker and reject pending calls.
+   *
+   * @param {String} [reason = "Script terminated"]
+   */
+  terminate (reason = 'Script terminated') {
+    if (this.dead) return
+
+    this.dead = true
+    this.reason = reason
+
+    clearInterval(this.watchdog)
+    this.worker.terminate()
+
+    this.calls.forEach(({ reject }) => reject(new Error(reason)))
+    this.calls.clear()
+
+    this.emit('exit', reason)
+  }
+}
+
+module.exports = Sandbox
@@ -0,0 +1,366 @@
+'use strict'
+
+const EventEmitter = require('events')
+const uuid = require('uuid').v4
+const Config = require('./config')
+const Job = require('./job')
+const util = require('./util')
+
+/**
+ * Most occurrences made up for by the "all" catch-up policy,
+ * or waiting for the previous one to end with the "queue" overlap policy.
+ */
+const maxBacklog = 100
+
+/**
+ * Class for a recurring series of jobs (e.g. a cron expression or an interval).
+ * Each occurrence is a job whose scheduleId is the schedule's id.
+ *
+ * When an occurrence is due and the previous one is still running,
+ * config.scheduling.overlap decides whether to "skip" it, "queue" it until
+ * the previous one ends, or "allow" both to run.
+ *
+ * When occurrences were missed while the server was down,
+ * config.scheduling.catchUp decides whether to run "none", "one" or "all" of them.
+ *
+ * @extends EventEmitter
+ */
+class Schedule extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {String} script
+   * @param {Object} [opts]           - used when restoring a schedule
+   * @param {String} [opts.id]
+   * @param {Date}   [opts.lastRunAt]
+   * @param {Date}   [opts.nextRunAt]
+   * @param {Number} [opts.pending]   - occurrences queued behind a running one
+   * @param {String} [opts.reason]    - why the schedule was paused, if it paused itself
+   * @param {String} [opts.state]
+   */
+  constructor (config, script, {
+    id = uuid(),
+    lastRunAt = null,
+    nextRunAt = null,
+    pending = 0,
+    reason = null,
+    state = 'created'
+  } = {}) {
+    super()
+
+    this.config = Schedule.validate(config)
+    this.id = id
+    this.lastRunAt = lastRunAt && new Date(lastRunAt)
+    this.manager = null
+    this.nextRunAt = nextRunAt && new Date(nextRunAt)
+    this.pending = pending
+    this.reason = reason
+    this.script = script
+    this.state = state
+    this.unschedule = null
+    this.unwatchers = new Map()
+
+    Job.compile(script)
+  }
+
+  /**
+   * Validate a schedule's config.
+   *
+   * @param  {(Object|String)} config
+   *
+   * @return {Object}
+   */
+  static validate (config) {
+    config = Config.from(config)
+
+    if (!util.recurring(config.scheduling)) {
+      throw new Error('Expected schedule to have a cron expression or an interval')
+    }
+
+    return config
+  }
+
+  get active () {
+    return this.state === 'active'
+  }
+
+  get paused () {
+    return this.state === 'paused'
+  }
+
+  changeState (state) {
+    this.state = state
+    this.emit('state', state)
+  }
+
+  /**
+   * Get every occurrence of the schedule so far.
+   *
+   * @return {Job[]}
+   */
+  getJobs () {
+    return this.manager.getJobs().filter(job => job.scheduleId === this.id)
+  }
+
+  /**
+   * @return {Boolean} - whether an occurrence is queued or running
+   */
+  busy () {
+    return this.getJobs().some(job => job.queued || job.running)
+  }
+
+  /**
+   * Start the series. Without a start time, the first occurrence runs right away.
+   */
+  start () {
+    if (this.state !== 'created') {
+      throw new Error('Schedule already started')
+    }
+
+    const { scheduling } = this.config
+    const now = new Date()
+
+    this.changeState('active')
+    this.nextRunAt = util.firstRun(scheduling, now)
+
+    if (!this.nextRunAt) {
+      this.trigger()
+      this.nextRunAt = util.nextRun(scheduling, now)
+    }
+
+    this.fastForward()
+    this.emit('change')
+    this.arm()
+  }
+
+  /**
+   * Move the next run time past now.
+   *
+   * @return {Number} - how many occurrences were passed over
+   */
+  fastForward () {
+    const now = new Date()
+    let missed = 0
+
+    while (this.nextRunAt < now) {
+      this.nextRunAt = util.nextRun(this.config.scheduling, this.nextRunAt)
+      missed++
+    }
+
+    return missed
+  }
+
+  /**
+   * Set a timer for the next occurrence (if the schedule is active).
+   */
+  arm () {
+    this.unschedule && this.unschedule()
+    this.unschedule = null
+
+    if (!this.active) return
+
+    this.unschedule = util.timer(() => this.fire(), this.nextRunAt - new Date())
+  }
+
+  fire () {
+    this.unschedule = null
+    this.trigger()
+    this.nextRunAt = util.nextRun(this.config.scheduling, this.nextRunAt)
+    this.fastForward()
+    this.emit('change')
+    this.arm()
+  }
+
+  /**
+   * Run an occurrence, unless the overlap policy skips or queues it.
+   *
+   * @return {?Job}
+   */
+  trigger () {
+    const { overlap } = this.config.scheduling
+
+    if (overlap !== 'allow' && this.busy()) {
+      if (overlap === 'queue' && this.pending < maxBacklog) {
+        this.pending++
+        this.emit('change')
+      }
+
+      return null
+    }
+
+    return this.createJob()
+  }
+
+  /**
+   * Create and start an occurrence. If the job can't be created (e.g. a secret
+   * its config references was deleted), the schedule is paused with the reason.
+   *
+   * @return {?Job}
+   */
+  createJob () {
+    // The schedule decides when occurrences run, not the jobs themselves.
+    const { cron, every, when, ...scheduling } = this.config.scheduling
+    const config = { ...this.config, scheduling }
+    let job
+
+    try {
+      job = this.manager.addJob(config, this.script, { scheduleId: this.id })
+    } catch (err) {
+      console.error(`Schedule ${this.id} failed to create a job: ${err.message}`)
+
+      const reason = 'Failed to create job: ' + err.message
+
+      this.active ? this.pause(reason) : (this.reason = reason)
+      this.emit('change')
+
+      return null
+    }
+
+    this.lastRunAt = new Date()
+    this.watchJob(job)
+    this.emit('job', job)
+    this.emit('change')
+
+    job.start().catch(console.error)
+
+    return job
+  }
+
+  /**
+   * Run a queued occurrence when an occurrence ends.
+   *
+   * @param {Job} job
+   */
+  watchJob (job) {
+    const handleState = () => {
+      if (job.created || job.queued || job.running) return
+
+      this.unwatchers.get(job.id)()
+      this.unwatchers.delete(job.id)
+      this.drain()
+    }
+
+    job.on('state', handleState)
+    this.unwatchers.set(job.id, () => job.removeListener('state', handleState))
+  }
+
+  drain () {
+    if (!this.active || !this.pending || this.busy()) return
+
+    this.pending--
+    this.createJob()
+  }
+
+  /**
+   * Pick up where the schedule left off before the server restarted.
+   * Occurrences missed in the meantime are run according to the catch-up policy.
+   */
+  catchUp () {
+    this.getJobs()
+      .filter(job => job.queued || job.running)
+      .forEach(job => this.watchJob(job))
+
+    if (!this.active) return
+
+    const missed = this.fastForward()
+    const count = { none: 0, one: Math.min(missed, 1), all: Math.min(missed, maxBacklog) }
+
+    for (let i = 0; i < count[this.config.scheduling.catchUp] && this.active; i++) {
+      this.trigger()
+    }
+
+    this.emit('change')
+    this.arm()
+    this.drain()
+  }
+
+  /**
+   * Stop running occurrences until the schedule is resumed.
+   *
+   * @param {String} [reason] - why, if the schedule pauses itself
+   */
+  pause (reason = null) {
+    if (!this.active) {
+      throw new Error('Schedule isn\'t active')
+    }
+
+    this.reason = reason
+    this.changeState('paused')
+    this.arm()
+  }
+
+  /**
+   * Resume a paused schedule. Occurrences that were due while it was paused are skipped.
+   */
+  resume () {
+    if (!this.paused) {
+      throw new Error('Schedule isn\'t paused')
+    }
+
+    this.fastForward()
+    this.reason = null
+    this.changeState('active')
+    this.arm()
+    this.drain()
+  }
+
+  /**
+   * Skip the next occurrence.
+   */
+  skip () {
+    this.nextRunAt = util.nextRun(this.config.scheduling, this.nextRunAt)
+    this.emit('change')
+    this.arm()
+  }
+
+  /**
+   * Stop the series. Its jobs are kept.
+   */
+  rm () {
+    this.unwatchers.forEach(unwatch => unwatch())
+    this.unwatchers.clear()
+    this.changeState('removed')
+    this.arm()
+  }
+
+  /**
+   * Return an object representation of the schedule's state.
+   *
+   * @return {Object}
+   */
+  toObject () {
+    const { catchUp, overlap } = this.config.scheduling
+
+    return {
+      id: this.id,
+      title: this.config.title,
+      state: this.state,
+      reason: this.reason,
+      nextRunAt: this.nextRunAt,
+      lastRunAt: this.lastRunAt,
+      pending: this.pending,
+      overlap,
+      catchUp,
+      jobs: this.getJobs().map(job => job.id)
+    }
+  }
+
+  /**
+   * Return everything needed to restore the schedule.
+   *
+   * @return {Object}
+   */
+  serialize () {
+    return {
+      config: this.config,
+      script: this.script,
+      id: this.id,
+      lastRunAt: this.lastRunAt,
+      nextRunAt: this.nextRunAt,
+      pending: this.pending,
+      reason: this.reason,
+      state: this.state
+    }
+  }
+}
+
+module.exports = Schedule
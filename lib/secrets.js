@@ -0,0 +1,302 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * What secret values are replaced with in logs, reports and API responses.
+ */
+const masked = '********'
+
+/**
+ * Secret values shorter than this (e.g. PINs) are only masked where they're a whole string,
+ * since masking them inside text would mangle it.
+ */
+const minPartialLength = 6
+
+const isPlainObject = value => !!value && value.constructor === Object
+
+/**
+ * Class that keeps named secrets (e.g. passwords) encrypted in a JSON file.
+ *
+ * Configs reference secrets as { "$secret": name }. References are only resolved
+ * for the script, and secret values are masked everywhere else.
+ */
+class SecretStore {
+  /**
+   * @param {String} [key]  - secrets are encrypted with AES-256-GCM using its SHA-256 hash
+   * @param {String} [file]
+   */
+  constructor (key, file = path.join(__dirname, '..', 'out', 'secrets.json')) {
+    this.file = file
+    this.key = key ? crypto.createHash('sha256').update(key).digest() : null
+    this.records = {}
+    this.values = new Map()
+    this.writing = Promise.resolve()
+  }
+
+  /**
+   * @param  {String}  name
+   *
+   * @return {Boolean}
+   */
+  static isValidName (name) {
+    return typeof name === 'string' && /^[\w.-]+$/.test(name)
+  }
+
+  /**
+   * Check whether a value is a reference to a secret, i.e. { "$secret": name }.
+   *
+   * @param  {*}       value
+   *
+   * @return {Boolean}
+   */
+  static isRef (value) {
+    return isPlainObject(value) && Object.keys(value).length === 1 && typeof value.$secret === 'string'
+  }
+
+  encrypt (name, value) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv).setAAD(Buffer.from(name))
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()])
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }
+  }
+
+  decrypt (name, { iv, tag, data }) {
+    const decipher = crypto
+      .createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'))
+      .setAAD(Buffer.from(name))
+      .setAuthTag(Buffer.from(tag, 'base64'))
+
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8')
+  }
+
+  /**
+   * Read and decrypt the secrets.
+   *
+   * @return {Promise}
+   */
+  async load () {
+    let records
+
+    try {
+      records = JSON.parse(await fs.promises.readFile(this.file, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return
+      throw err
+    }
+
+    if (!this.key && Object.keys(records).length) {
+      throw new Error('Expected key to decrypt secrets')
+    }
+
+    for (const [name, record] of Object.entries(records)) {
+      try {
+        this.values.set(name, this.decrypt(name, record))
+      } catch {
+        throw new Error(`Failed to decrypt secret "${name}" (wrong key?)`)
+      }
+    }
+
+    this.records = records
+  }
+
+  /**
+   * Atomically write the encrypted secrets to the file.
+   *
+   * @return {Promise}
+   */
+  save () {
+    const data = JSON.stringify(this.records)
+    const tmp = this.file + '.tmp'
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+        await fs.promises.writeFile(tmp, data, { mode: 0o600 })
+        await fs.promises.rename(tmp, this.file)
+      })
+
+    return this.writing
+  }
+
+  /**
+   * List the secrets' names (never their values).
+   *
+   * @return {Object[]} - e.g. { name: "amazon-password", updatedAt }
+   */
+  list () {
+    return Object.entries(this.records)
+      .map(([name, { updatedAt }]) => ({ name, updatedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * @param  {String}  name
+   *
+   * @return {Boolean}
+   */
+  has (name) {
+    return this.values.has(name)
+  }
+
+  /**
+   * Create or replace a secret.
+   *
+   * @param  {String}  name
+   * @param  {String}  value
+   *
+   * @return {Promise}
+   */
+  async set (name, value) {
+    if (!this.key) {
+      throw new Error('No key to encrypt secrets with')
+    }
+
+    if (!SecretStore.isValidName(name)) {
+      throw new Error('Invalid secret name: ' + name)
+    }
+
+    if (typeof value !== 'string' || !value) {
+      throw new Error('Expected secret value to be a non-empty string')
+    }
+
+    this.records[name] = { ...this.encrypt(name, value), updatedAt: new Date() }
+    this.values.set(name, value)
+
+    return this.save()
+  }
+
+  /**
+   * Delete a secret.
+   *
+   * @param  {String}  name
+   *
+   * @return {Promise}
+   */
+  async remove (name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown secret "${name}"`)
+    }
+
+    delete this.records[name]
+    this.values.delete(name)
+
+    return this.save()
+  }
+
+  /**
+   * Replace the secret references in a value (e.g. config.data) with the secrets.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  resolve (value) {
+    if (SecretStore.isRef(value)) {
+      if (!this.has(value.$secret)) {
+        throw new Error(`Unknown secret "${value.$secret}"`)
+      }
+
+      return this.values.get(value.$secret)
+    }
+
+    if (Array.isArray(value)) return value.map(value => this.resolve(value))
+
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, this.resolve(value)]))
+    }
+
+    return value
+  }
+
+  /**
+   * Replace secret values in a value (e.g. a job's result) with references to the secrets,
+   * so it can be stored and passed on to another job. Secrets inside longer strings are masked.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  refer (value) {
+    if (typeof value === 'string') {
+      const entry = [...this.values].find(([, secret]) => secret === value)
+
+      return entry ? { $secret: entry[0] } : this.mask(value)
+    }
+
+    if (Array.isArray(value)) return value.map(value => this.refer(value))
+
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, this.refer(value)]))
+    }
+
+    return value
+  }
+
+  /**
+   * Mask every secret value in a string (including in JSON), or in the strings of an object.
+   *
+   * @param  {*} value
+   *
+   * @return {*}
+   */
+  mask (value) {
+    if (typeof value === 'string') {
+      const secrets = [...this.values.values()]
+
+      if (secrets.includes(value)) return masked
+
+      // Longer secrets first, in case one contains another.
+      return secrets
+        .filter(secret => secret.length >= minPartialLength)
+        .sort((a, b) => b.length - a.length)
+        .reduce((value, secret) => {
+          const escaped = JSON.stringify(secret).slice(1, -1)
+
+          return value.split(secret).join(masked).split(escaped).join(masked)
+        }, value)
+    }
+
+    if (!this.values.size) return value
+
+    if (Array.isArray(value)) return value.map(value => this.mask(value))
+
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, this.mask(value)]))
+    }
+
+    return value
+  }
+
+  /**
+   * Mask every secret value in a response body. JSON is masked value by value
+   * and serialized again, so masking can't break its syntax.
+   *
+   * @param  {String} text
+   *
+   * @return {String}
+   */
+  maskText (text) {
+    if (!this.values.size) return text
+
+    let value
+
+    try {
+      value = JSON.parse(text)
+    } catch {
+      return this.mask(text)
+    }
+
+    return JSON.stringify(this.mask(value))
+  }
+}
+
+module.exports = SecretStore
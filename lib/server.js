@@ -4,7 +4,18 @@ const { once } = require('events')
 const https = require('https')
 const uuid = require('uuid')
 const WebSocket = require('ws')
+const ArtifactStore = require('./artifacts')
+const Auth = require('./auth')
+const inbound = require('./inbound')
+const Job = require('./job')
+const logs = require('./logs')
+const Config = require('./config')
+const csv = require('./csv')
 const Manager = require('./manager')
+const SecretStore = require('./secrets')
+const steps = require('./steps')
+const { FileStore } = require('./store')
+const util = require('./util')
 
 const readBody = async req => {
   let body = ''
@@ -28,20 +39,125 @@ const respond = (resp, { code = 200, body = '', headers = {} } = {}) => {
   resp.end(body)
 }
 
+/**
+ * Most jobs that one POST /jobs request can create.
+ */
+const maxInstances = 1000
+
+/**
+ * Get the rows of data for POST /jobs, one per job.
+ *
+ * @param  {Object}           body
+ * @param  {(Object[]|String)} body.data
+ * @param  {String}           [body.format] - "csv" or "jsonl" if data is a string
+ *
+ * @return {Object[]}
+ */
+const parseRows = ({ data, format }) => {
+  let rows
+
+  if (typeof data !== 'string') {
+    rows = data
+  } else if (format === 'csv') {
+    rows = csv.parse(data)
+  } else if (format === 'jsonl') {
+    rows = data
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, i) => {
+        try {
+          return JSON.parse(line)
+        } catch {
+          throw new Error(`Invalid JSON on line ${i + 1} of data`)
+        }
+      })
+  } else {
+    throw new Error('Expected format to be "csv" or "jsonl"')
+  }
+
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new Error('Expected data to have rows')
+  }
+
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Expected row ${i + 1} of data to be an object`)
+    }
+  })
+
+  return rows
+}
+
+const requiredScope = req => {
+  if (req.method === 'GET' || req.url === '/jobs/preview') return 'read'
+
+  if (/^\/jobs\/[^/]+\/(?:start|cancel)$/.test(req.url)) return 'operate'
+
+  if (/^\/pipelines\/[^/]+\/cancel$/.test(req.url)) return 'operate'
+
+  if (/^\/schedules\/[^/]+\/(?:pause|resume|run|skip|cancel)$/.test(req.url)) return 'operate'
+
+  return 'admin'
+}
+
 /**
  * HTTPS/WebSocket server that exposes API for job management.
  *
+ * Requests (other than to /inbound) and WebSocket connections must
+ * have a bearer token for an API key with the required scope.
+ *
  * @extends {Manager}
  */
 class Server extends Manager {
-  constructor ({ apiKey = '', cert, key } = {}) {
-    super()
+  /**
+   * @param {Object}   [opts]
+   * @param {String}   [opts.apiKey]      - for /inbound requests, also accepted as an admin key
+   * @param {Object}   [opts.browsers]    - options for the browser pool
+   * @param {Buffer}   [opts.cert]
+   * @param {Number}   [opts.concurrency]
+   * @param {Buffer}   [opts.key]
+   * @param {Object[]} [opts.keys]        - named API keys with scopes (see {@link Auth})
+   * @param {Object}   [opts.providers]   - settings of SMS providers for /inbound/:provider, e.g.
+   *                                        { twilio: { authToken }, vonage: { signatureSecret } }
+   * @param {Object}   [opts.proxies]     - proxy pools by name
+   * @param {String}   [opts.secretsKey]  - key that secrets are encrypted with (see {@link SecretStore})
+   * @param {Object}   [opts.smtp]        - nodemailer transport options for email reporters
+   * @param {Store}    [opts.store]
+   */
+  constructor ({
+    apiKey = '',
+    browsers,
+    cert,
+    concurrency,
+    key,
+    keys = [],
+    providers = {},
+    proxies,
+    secretsKey,
+    smtp,
+    store = new FileStore()
+  } = {}) {
+    super({ browsers, concurrency, proxies, secrets: new SecretStore(secretsKey), smtp, store })
 
     this.apiKey = apiKey
     this.conns = new Set()
+    this.providers = providers
+
+    this.auth = new Auth(
+      apiKey
+        ? [...keys, { name: 'default', key: apiKey, scope: 'admin' }]
+        : keys
+    )
 
     const server = this.http = https.createServer({ cert, key })
-    this.ws = new WebSocket.Server({ server })
+
+    this.ws = new WebSocket.Server({
+      server,
+      verifyClient: ({ req }, done) => {
+        const { code, body } = this.authorize(req, 'read')
+        code ? done(false, code, body) : done(true)
+      }
+    })
 
     this.http
       .on('error', console.error)
@@ -60,13 +176,19 @@ class Server extends Manager {
   }
 
   /**
-   * Start the HTTPS/WebSocket server.
+   * Load persisted jobs and start the HTTPS/WebSocket server.
    *
    * @param  {...*} args
    *
    * @return {Promise}
    */
-  start (...args) {
+  async start (...args) {
+    await this.load()
+
+    this.browsers
+      .warm({ headless: true, args: [] })
+      .catch(err => console.error('Failed to warm browsers: ' + err.message))
+
     return new Promise((resolve, reject) => {
       this.http.once('error', reject)
 
@@ -83,6 +205,37 @@ class Server extends Manager {
    */
   stop () {
     this.http.close()
+    this.close().catch(console.error)
+  }
+
+  /**
+   * Check a request's bearer token against the API keys.
+   *
+   * @param  {http.IncomingMessage} req
+   * @param  {String}               scope
+   *
+   * @return {Object} - the matching key, or the code and body to respond with
+   */
+  authorize (req, scope) {
+    const ip = req.socket.remoteAddress
+
+    if (this.auth.limited(ip)) {
+      console.error(`Rate limited request from ${ip}`)
+      return { code: 429, body: 'Too Many Requests' }
+    }
+
+    const key = this.auth.authenticate(Auth.token(req), ip)
+
+    if (!key) {
+      return { code: 401, body: 'Unauthorized' }
+    }
+
+    if (!Auth.allows(key, scope)) {
+      console.error(`Key "${key.name}" not allowed to ${req.method} ${req.url}`)
+      return { code: 403, body: 'Forbidden' }
+    }
+
+    return { key }
   }
 
   handleConnection (conn) {
@@ -94,18 +247,70 @@ class Server extends Manager {
   }
 
   async handleRequest (req, resp) {
+    // Secret values never leave the server, whatever the response is.
+    const end = resp.end.bind(resp)
+    resp.end = (body, ...args) => end(typeof body === 'string' ? this.secrets.maskText(body) : body, ...args)
+
     if (req.url.startsWith('/inbound')) {
       await this.handleInboundRequest(req, resp)
       return
     }
 
+    const { code, body } = this.authorize(req, requiredScope(req))
+
+    if (code) {
+      const headers = code === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}
+      respond(resp, { code, body, headers })
+      return
+    }
+
+    if (req.url === '/profiles' || req.url.startsWith('/profiles/')) {
+      await this.handleProfilesRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/secrets' || req.url.startsWith('/secrets/')) {
+      await this.handleSecretsRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/metrics') {
+      await this.handleMetricsRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/proxies') {
+      this.handleProxiesRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/pipelines' || req.url.startsWith('/pipelines/')) {
+      await this.handlePipelinesRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/schedules' || req.url.startsWith('/schedules/')) {
+      await this.handleSchedulesRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/jobs/preview') {
+      await this.handlePreviewRequest(req, resp)
+      return
+    }
+
+    if (req.url === '/jobs/validate') {
+      await this.handleValidateRequest(req, resp)
+      return
+    }
+
     if (req.url === '/jobs') {
       await this.handleJobsRequest(req, resp)
       return
     }
 
     if (req.url.startsWith('/jobs/')) {
-      this.handleJobRequest(req, resp)
+      await this.handleJobRequest(req, resp)
       return
     }
 
@@ -118,28 +323,415 @@ class Server extends Manager {
       return
     }
 
+    const [name] = req.url.split('?')[0].split('/').slice(2)
+    let body = await readBody(req)
+    let msg
+
+    if (!name) {
+      try {
+        body = JSON.parse(body)
+
+        if (!inbound.safeEqual(body['api-key'], this.apiKey)) throw Error
+      } catch (err) {
+        respond(resp, { code: 400, body: 'Invalid Request' })
+        console.error(err)
+        return
+      }
+
+      const { 'api-key': _, ...rest } = body
+      msg = rest
+    } else {
+      const provider = inbound.providers[name]
+      const opts = this.providers[name]
+
+      if (!provider || !opts) {
+        respond(resp, { code: 404, body: 'Not Found' })
+        return
+      }
+
+      const params = Object.fromEntries(new URLSearchParams(body))
+
+      if (!provider.verify(req, params, opts)) {
+        respond(resp, { code: 403, body: 'Invalid Signature' })
+        console.error(`Invalid ${name} signature from ${req.socket.remoteAddress}`)
+        return
+      }
+
+      msg = { ...provider.parse(params), provider: name }
+    }
+
+    const jobs = this.routeInbound(msg)
+
+    console.log(msg)
+    console.log(`Routed inbound message to ${jobs.length} job(s)`)
+
+    name === 'twilio'
+      ? respond(resp, { body: '<Response/>', headers: { 'Content-Type': 'text/xml' } })
+      : respond(resp)
+  }
+
+  async handleProfilesRequest (req, resp) {
+    const [name] = req.url.split('/').slice(2).map(decodeURIComponent)
+
+    if (req.method === 'GET' && !name) {
+      const profiles = await this.profiles.list()
+      const body = JSON.stringify(profiles)
+
+      respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+      return
+    }
+
+    if (req.method !== 'DELETE' || !name) {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    try {
+      await this.profiles.remove(name)
+    } catch (err) {
+      respond(resp, { code: 400, body: err.message })
+      return
+    }
+
+    respond(resp)
+  }
+
+  async handleSecretsRequest (req, resp) {
+    const [name] = req.url.split('/').slice(2).map(decodeURIComponent)
+
+    if (req.method === 'GET' && !name) {
+      const body = JSON.stringify(this.secrets.list())
+      respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+      return
+    }
+
+    if (!name || !['PUT', 'DELETE'].includes(req.method)) {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    if (req.method === 'DELETE') {
+      if (!this.secrets.has(name)) {
+        respond(resp, { code: 404, body: 'Secret not found' })
+        return
+      }
+
+      await this.secrets.remove(name)
+      respond(resp)
+      return
+    }
+
     let body = await readBody(req)
 
     try {
       body = JSON.parse(body)
+    } catch {
+      respond(resp, { code: 400, body: 'Invalid JSON body' })
+      return
+    }
 
-      if (body['api-key'] !== this.apiKey) throw Error
+    try {
+      await this.secrets.set(name, body.value)
     } catch (err) {
-      respond(resp, { code: 400, body: 'Invalid Request' })
-      console.error(err)
+      respond(resp, { code: 400, body: err.message })
       return
     }
 
-    console.log(body)
+    respond(resp)
+  }
 
-    this.jobs.forEach(job => job.emit('inbound', body))
+  async handleMetricsRequest (req, resp) {
+    if (req.method !== 'GET') {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
 
-    respond(resp)
+    this.updateMetrics()
+
+    const body = await this.metrics.render()
+
+    respond(resp, { body, headers: { 'Content-Type': this.metrics.contentType } })
+  }
+
+  handleProxiesRequest (req, resp) {
+    if (req.method !== 'GET') {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    const pools = [...this.proxies.values()].map(pool => pool.toObject())
+    const body = JSON.stringify(pools)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  async handlePipelinesRequest (req, resp) {
+    const [id, action] = req.url.split('/').slice(2)
+
+    if (!id) {
+      switch (req.method) {
+        case 'GET':
+          this.handleGetPipelinesRequest(req, resp)
+          return
+
+        case 'POST':
+          await this.handlePostPipelinesRequest(req, resp)
+          return
+
+        default:
+          respond(resp, { code: 405, body: 'Method Not Allowed' })
+          return
+      }
+    }
+
+    if (!uuid.validate(id)) {
+      respond(resp, { code: 400, body: 'Invalid pipeline id' })
+      return
+    }
+
+    const pipeline = this.getPipeline(id)
+
+    if (!pipeline) {
+      respond(resp, { code: 404, body: 'Pipeline not found' })
+      return
+    }
+
+    if (req.method === 'GET' && !action) {
+      const body = JSON.stringify(pipeline.toObject())
+      respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+      return
+    }
+
+    if (req.method === 'POST' && action === 'cancel') {
+      pipeline.ended ? pipeline.rm() : pipeline.cancel()
+      respond(resp)
+      return
+    }
+
+    respond(resp, { code: 404, body: 'Not Found' })
+  }
+
+  handleGetPipelinesRequest (req, resp) {
+    const objs = this.getPipelines().map(pipeline => pipeline.toObject())
+    const body = JSON.stringify(objs)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  async handlePostPipelinesRequest (req, resp) {
+    let body = await readBody(req)
+
+    try {
+      body = JSON.parse(body)
+    } catch {
+      respond(resp, { code: 400, body: 'Invalid JSON body' })
+      return
+    }
+
+    let pipeline
+
+    try {
+      pipeline = this.addPipeline(body)
+    } catch (err) {
+      respond(resp, { code: 400, body: err.message })
+      return
+    }
+
+    respond(resp, {
+      body: JSON.stringify(pipeline.toObject()),
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+
+  async handleSchedulesRequest (req, resp) {
+    const [id, action] = req.url.split('/').slice(2)
+
+    if (!id) {
+      switch (req.method) {
+        case 'GET':
+          this.handleGetSchedulesRequest(req, resp)
+          return
+
+        case 'POST':
+          await this.handlePostSchedulesRequest(req, resp)
+          return
+
+        default:
+          respond(resp, { code: 405, body: 'Method Not Allowed' })
+          return
+      }
+    }
+
+    if (!uuid.validate(id)) {
+      respond(resp, { code: 400, body: 'Invalid schedule id' })
+      return
+    }
+
+    const schedule = this.getSchedule(id)
+
+    if (!schedule) {
+      respond(resp, { code: 404, body: 'Schedule not found' })
+      return
+    }
+
+    if (req.method === 'GET' && !action) {
+      const body = JSON.stringify(schedule.toObject())
+      respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+      return
+    }
+
+    if (req.method !== 'POST') {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    let job
+
+    try {
+      switch (action) {
+        case 'pause':
+          schedule.pause()
+          break
+
+        case 'resume':
+          schedule.resume()
+          break
+
+        case 'run':
+          job = schedule.trigger()
+          break
+
+        case 'skip':
+          schedule.skip()
+          break
+
+        case 'cancel':
+          schedule.rm()
+          break
+
+        default:
+          respond(resp, { code: 404, body: 'Not Found' })
+          return
+      }
+    } catch (err) {
+      respond(resp, { code: 400, body: err.message })
+      return
+    }
+
+    // Only set by "run", and null if the overlap policy skipped or queued the occurrence.
+    const body = JSON.stringify({ ...schedule.toObject(), jobId: job ? job.id : null })
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  handleGetSchedulesRequest (req, resp) {
+    const objs = this.getSchedules().map(schedule => schedule.toObject())
+    const body = JSON.stringify(objs)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  async handlePostSchedulesRequest (req, resp) {
+    let body = await readBody(req)
+
+    try {
+      body = JSON.parse(body)
+    } catch {
+      respond(resp, { code: 400, body: 'Invalid JSON body' })
+      return
+    }
+
+    let schedule
+
+    try {
+      const script = body.steps ? steps.compile(body.steps) : body.script
+      schedule = this.addSchedule(body.config, script)
+    } catch (err) {
+      respond(resp, { code: 400, body: err.message })
+      return
+    }
+
+    respond(resp, {
+      body: JSON.stringify(schedule.toObject()),
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+
+  async handlePreviewRequest (req, resp) {
+    if (req.method !== 'POST') {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    let body = await readBody(req)
+
+    try {
+      body = JSON.parse(body)
+    } catch {
+      respond(resp, { code: 400, body: 'Invalid JSON body' })
+      return
+    }
+
+    const count = Math.min(Math.max(Math.round(+body.count) || 0, 1), 100)
+    let times
+
+    try {
+      const { scheduling } = Config.from(body.config)
+      times = util.preview(scheduling, count)
+    } catch (err) {
+      respond(resp, { code: 400, body: err.message })
+      return
+    }
+
+    respond(resp, {
+      body: JSON.stringify({ times }),
+      headers: { 'Content-Type': 'application/json' }
+    })
+  }
+
+  async handleValidateRequest (req, resp) {
+    if (req.method !== 'POST') {
+      respond(resp, { code: 405, body: 'Method Not Allowed' })
+      return
+    }
+
+    let body = await readBody(req)
+
+    try {
+      body = JSON.parse(body)
+    } catch {
+      respond(resp, { code: 400, body: 'Invalid JSON body' })
+      return
+    }
+
+    let { script } = body
+    let stepsError = null
+
+    if (body.steps) {
+      try {
+        script = steps.compile(body.steps)
+      } catch (err) {
+        stepsError = { message: err.message, line: null, column: null }
+      }
+    }
+
+    const result = await this.checkJob(body.config, script)
+
+    if (stepsError) {
+      result.valid = false
+      result.script = { hooks: [], errors: [stepsError] }
+    }
+
+    respond(resp, {
+      body: JSON.stringify(result),
+      headers: { 'Content-Type': 'application/json' }
+    })
   }
 
   async handleJobRequest (req, resp) {
-    const [, rest] = req.url.split('/jobs/')
-    const [id, action] = rest.split('/').filter(Boolean)
+    const [pathname, query] = req.url.split('?')
+    const [, rest] = pathname.split('/jobs/')
+    const [id, action, name] = rest.split('/').filter(Boolean)
 
     if (!uuid.validate(id)) {
       respond(resp, { code: 400, body: 'Invalid job id' })
@@ -155,8 +747,34 @@ class Server extends Manager {
 
     switch (req.method) {
       case 'GET':
-        this.handleGetJobRequest(req, resp, job)
-        return
+        switch (action) {
+          case undefined:
+            this.handleGetJobRequest(req, resp, job)
+            return
+
+          case 'logs':
+            await this.handleGetLogsRequest(req, resp, job, new URLSearchParams(query))
+            return
+
+          case 'result':
+            this.handleGetResultRequest(req, resp, job, new URLSearchParams(query))
+            return
+
+          case 'runs':
+            this.handleGetRunsRequest(req, resp, job)
+            return
+
+          case 'artifacts':
+            name
+              ? await this.handleGetArtifactRequest(req, resp, job, name)
+              : await this.handleGetArtifactsRequest(req, resp, job)
+
+            return
+
+          default:
+            respond(resp, { code: 404, body: 'Not Found' })
+            return
+        }
 
       case 'POST':
         switch (action) {
@@ -196,6 +814,7 @@ class Server extends Manager {
     try {
       body.config && job.setConfig(body.config)
       body.script && job.setScript(body.script)
+      body.steps && job.setScript(steps.compile(body.steps))
     } catch (err) {
       respond(resp, { code: 400, body: err.message })
       console.error(err)
@@ -212,19 +831,123 @@ class Server extends Manager {
     respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
   }
 
+  async handleGetLogsRequest (req, resp, job, params) {
+    const opts = {}
+
+    if (params.has('since')) {
+      const since = params.get('since')
+      opts.since = new Date(/^\d+$/.test(since) ? +since : since)
+
+      if (isNaN(opts.since)) {
+        respond(resp, { code: 400, body: 'Invalid since' })
+        return
+      }
+    }
+
+    if (params.has('level')) {
+      opts.level = params.get('level')
+
+      if (!logs.levels.includes(opts.level)) {
+        respond(resp, { code: 400, body: 'Invalid level' })
+        return
+      }
+    }
+
+    if (params.has('tail')) {
+      opts.tail = +params.get('tail')
+
+      if (!Number.isInteger(opts.tail) || opts.tail < 1) {
+        respond(resp, { code: 400, body: 'Invalid tail' })
+        return
+      }
+    }
+
+    const entries = await this.logs.read(job.id, opts)
+    const body = JSON.stringify(entries)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  handleGetResultRequest (req, resp, job, params) {
+    const format = params.get('format') || 'json'
+
+    const runs = this.getRuns(job.scheduleId)
+      .filter(run => run.outcome === 'completed')
+
+    if (format === 'json') {
+      const body = JSON.stringify(runs.map(({ id, endedAt, result }) => ({ runId: id, endedAt, result })))
+
+      respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+      return
+    }
+
+    if (format !== 'csv') {
+      respond(resp, { code: 400, body: 'Invalid format' })
+      return
+    }
+
+    const rows = runs.map(({ id, endedAt, result }) => ({ runId: id, endedAt, ...result }))
+    const fields = [...new Set(rows.flatMap(Object.keys))]
+
+    respond(resp, {
+      body: csv.stringify(rows, fields.length ? fields : ['runId', 'endedAt']),
+      headers: {
+        'Content-Disposition': `attachment; filename="${job.scheduleId}.csv"`,
+        'Content-Type': 'text/csv'
+      }
+    })
+  }
+
+  handleGetRunsRequest (req, resp, job) {
+    const runs = this.getRuns(job.scheduleId)
+    const objs = runs.map(run => run.toObject())
+    const body = JSON.stringify(objs)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  async handleGetArtifactsRequest (req, resp, job) {
+    const artifacts = await this.artifacts.list(job.id)
+    const body = JSON.stringify(artifacts)
+
+    respond(resp, { body, headers: { 'Content-Type': 'application/json' } })
+  }
+
+  async handleGetArtifactRequest (req, resp, job, name) {
+    name = decodeURIComponent(name)
+
+    if (!ArtifactStore.isValidName(name)) {
+      respond(resp, { code: 400, body: 'Invalid artifact name' })
+      return
+    }
+
+    const artifact = await this.artifacts.read(job.id, name)
+
+    if (!artifact) {
+      respond(resp, { code: 404, body: 'Artifact not found' })
+      return
+    }
+
+    respond(resp, {
+      body: artifact.data,
+      headers: { 'Content-Type': artifact.type }
+    })
+  }
+
   handleStartJobRequest (req, resp, job) {
     if (!job.created) {
       respond(resp, { code: 400, body: 'Cannot start job' })
       return
     }
 
-    job.start()
+    job.start().catch(console.error)
 
     respond(resp)
   }
 
   handleCancelJobRequest (req, resp, job) {
     switch (job.state) {
+      case 'queued':
       case 'running':
         job.stop()
         break
@@ -255,8 +978,51 @@ class Server extends Manager {
     }
   }
 
+  updateMetrics () {
+    super.updateMetrics()
+    this.metrics.connections.set(this.conns.size)
+  }
+
+  /**
+   * Send a message to every WebSocket connection.
+   *
+   * @param {Object} msg
+   */
   send (msg) {
-    this.conns.forEach(conn => conn.send(msg))
+    const data = JSON.stringify(this.secrets.mask(msg))
+    this.conns.forEach(conn => conn.send(data))
+  }
+
+  watchJob (job) {
+    super.watchJob(job)
+
+    job
+      .on('log', entry => {
+        this.send({ type: 'log', id: job.id, entry })
+      })
+      .on('state', state => {
+        this.send({ type: 'state', id: job.id, state })
+      })
+  }
+
+  watchPipeline (pipeline) {
+    super.watchPipeline(pipeline)
+
+    pipeline.on('state', state => {
+      this.send({ type: 'pipeline', id: pipeline.id, state })
+    })
+  }
+
+  watchSchedule (schedule) {
+    super.watchSchedule(schedule)
+
+    schedule
+      .on('job', job => {
+        this.send({ type: 'job', job: job.toObject() })
+      })
+      .on('state', state => {
+        this.send({ type: 'schedule', id: schedule.id, state })
+      })
   }
 
   async handlePostJobsRequest (req, resp) {
@@ -270,41 +1036,39 @@ class Server extends Manager {
     }
 
     try {
-      const instances = Math.max(Math.round(+body.instances) || 0, 1)
+      const config = Config.from(body.config)
+      const script = body.steps ? steps.compile(body.steps) : body.script
 
-      for (let i = 1; i <= instances; i++) {
-        const config = { ...body.config, title: body.config.title + '-' + i }
-        const job = this.addJob(config, body.script)
-
-        const handleLog = job => text => {
-          const msg = JSON.stringify({ type: 'log', id: job.id, text })
-          this.send(msg)
-        }
+      const rows = body.data === undefined
+        ? Array(Math.max(Math.round(+body.instances) || 0, 1)).fill({})
+        : parseRows(body)
 
-        const handleState = job => state => {
-          const msg = JSON.stringify({ type: 'state', id: job.id, state })
-          this.send(msg)
-        }
+      if (rows.length > maxInstances) {
+        throw new Error(`Cannot create more than ${maxInstances} jobs at once`)
+      }
 
-        const handleNext = job => {
-          job
-            .on('log', handleLog(job))
-            .on('state', handleState(job))
-            .once('next', handleNext)
+      const template = body.title || '{{title}}-{{index}}'
 
-          job = job.toObject()
+      // Validate every instance before creating any, so a batch is all-or-nothing.
+      const configs = rows.map((row, i) => {
+        const title = util.render(template, { title: config.title, index: i + 1, data: row })
+        const data = { ...config.data, ...row }
 
-          const msg = JSON.stringify({ type: 'job', job })
-          this.send(msg)
+        try {
+          return this.validateConfig({ ...config, title, data })
+        } catch (err) {
+          throw rows.length > 1 ? new Error(`Instance ${i + 1}: ${err.message}`) : err
         }
+      })
 
-        job
-          .on('log', handleLog(job))
-          .on('state', handleState(job))
-          .once('next', handleNext)
-      }
+      Job.compile(script)
 
-      respond(resp)
+      const ids = configs.map(instance => this.addJob(instance, script, { baseTitle: config.title }).id)
+
+      respond(resp, {
+        body: JSON.stringify({ ids }),
+        headers: { 'Content-Type': 'application/json' }
+      })
     } catch (err) {
       console.error(err)
       respond(resp, { code: 400, body: err.message })
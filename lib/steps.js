@@ -0,0 +1,294 @@
+'use strict'
+
+const Joi = require('joi')
+const yaml = require('js-yaml')
+
+/** @module steps */
+
+const selector = Joi.string().required()
+const timeout = Joi.number().integer().min(0)
+
+/**
+ * Each action's options, and the option a string is shorthand for.
+ */
+const actions = {
+  goto: {
+    shorthand: 'url',
+    schema: Joi.object({
+      url: Joi.string().required(),
+      waitUntil: Joi.valid('load', 'domcontentloaded', 'networkidle0', 'networkidle2'),
+      timeout
+    })
+  },
+
+  click: {
+    shorthand: 'selector',
+    schema: Joi.object({ selector, timeout })
+  },
+
+  type: {
+    schema: Joi.object({
+      selector,
+      text: Joi.string().required(),
+      clear: Joi.boolean(),
+      delay: Joi.number().integer().min(0),
+      timeout
+    })
+  },
+
+  select: {
+    schema: Joi.object({
+      selector,
+      value: Joi.array().items(Joi.string()).single().required(),
+      timeout
+    })
+  },
+
+  waitFor: {
+    shorthand: 'selector',
+    schema: Joi.object({
+      selector: Joi.string(),
+      hidden: Joi.boolean(),
+      ms: Joi.number().integer().min(0),
+      navigation: Joi.boolean(),
+      timeout
+    }).xor('selector', 'ms', 'navigation')
+  },
+
+  extract: {
+    schema: Joi.object({
+      selector,
+      into: Joi.string().required(),
+      attribute: Joi.string(),
+      all: Joi.boolean(),
+      timeout
+    })
+  },
+
+  assert: {
+    shorthand: 'selector',
+    schema: Joi.object({
+      selector: Joi.string(),
+      text: Joi.string(),
+      url: Joi.string(),
+      not: Joi.boolean(),
+      message: Joi.string()
+    }).or('selector', 'text', 'url')
+  },
+
+  screenshot: {
+    shorthand: 'name',
+    schema: Joi.object({
+      name: Joi.string().pattern(/^[\w-][\w.-]*$/).required(),
+      fullPage: Joi.boolean()
+    })
+  },
+
+  recvCode: {
+    shorthand: 'into',
+    schema: Joi.object({
+      into: Joi.string().default('code'),
+      length: Joi.number().integer().min(1),
+      timeout: Joi.number().min(0),
+      from: Joi.string(),
+      to: Joi.string(),
+      pattern: Joi.string()
+    })
+  }
+}
+
+const step = Joi.object(
+  Object.fromEntries(
+    Object.entries(actions).map(([name, { shorthand, schema }]) => [
+      name,
+      shorthand ? Joi.alternatives(Joi.string(), schema) : schema
+    ])
+  )
+).xor(...Object.keys(actions))
+
+const schema = Joi.object({
+  setup: Joi.array().items(step),
+  action: Joi.array().items(step).min(1).required(),
+  finalize: Joi.array().items(step)
+})
+
+/**
+ * Runs a hook's steps. This function is compiled into scripts as source,
+ * so it can only use what it defines and the script API (on this).
+ *
+ * @param  {Object[]} steps
+ * @param  {String}   hook
+ *
+ * @return {Promise}  - resolves true
+ */
+async function runSteps (steps, hook) {
+  const { page } = this
+  const vars = {}
+
+  const render = value => String(value).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path
+      .split('.')
+      .reduce((obj, key) => obj == null ? obj : obj[key], { ...vars, data: this.data, result: this.result })
+
+    if (value == null) return ''
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  })
+
+  const run = {
+    goto: ({ url, waitUntil, timeout }) => page.goto(render(url), { waitUntil, timeout }),
+
+    click: async ({ selector, timeout }) => {
+      await page.waitForSelector(render(selector), { visible: true, timeout })
+      await page.click(render(selector))
+    },
+
+    type: async ({ selector, text, clear, delay, timeout }) => {
+      await page.waitForSelector(render(selector), { visible: true, timeout })
+      clear && await page.$eval(render(selector), el => { el.value = '' })
+      await page.type(render(selector), render(text), { delay })
+    },
+
+    select: async ({ selector, value, timeout }) => {
+      await page.waitForSelector(render(selector), { timeout })
+      await page.select(render(selector), ...value.map(render))
+    },
+
+    waitFor: async ({ selector, hidden, ms, navigation, timeout }) => {
+      if (ms) {
+        await this.sleep(ms)
+      } else if (navigation) {
+        await page.waitForNavigation({ timeout })
+      } else {
+        await page.waitForSelector(render(selector), { hidden, timeout })
+      }
+    },
+
+    extract: async ({ selector, into, attribute, all, timeout }) => {
+      await page.waitForSelector(render(selector), { timeout })
+
+      const values = await page.$$eval(render(selector), (els, attribute) => els.map(el => {
+        return attribute ? el.getAttribute(attribute) : el.innerText.trim()
+      }), attribute)
+
+      this.result[into] = all ? values : values[0]
+    },
+
+    assert: async ({ selector, text, url, not, message }) => {
+      let ok = true
+
+      if (selector) {
+        ok = ok && !!await page.$(render(selector))
+      }
+
+      if (text) {
+        const content = await page.evaluate(() => document.body.innerText)
+        ok = ok && content.includes(render(text))
+      }
+
+      if (url) {
+        ok = ok && new RegExp(render(url)).test(page.url())
+      }
+
+      if (ok === !!not) {
+        const what = [selector, text, url].filter(Boolean).map(render).join(', ')
+        throw new Error(message ? render(message) : `Expected ${not ? 'not ' : ''}to find ${what}`)
+      }
+    },
+
+    screenshot: async ({ name, fullPage }) => {
+      name = render(name)
+      name = name.includes('.') ? name : name + '.png'
+
+      await this.artifact(name, await page.screenshot({ fullPage }))
+    },
+
+    recvCode: async ({ into, ...opts }) => {
+      vars[into] = await this.recvCode(opts)
+    }
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const { action, ...opts } = steps[i]
+
+    try {
+      await run[action](opts)
+    } catch (err) {
+      if (err && typeof err.message === 'string') {
+        err.message = `Step ${i + 1} of ${hook} (${action}) failed: ${err.message}`
+      }
+
+      throw err
+    }
+  }
+
+  return true
+}
+
+/**
+ * Parse and validate steps. Steps can be an array (the action hook's steps)
+ * or an object with "setup", "action" and "finalize" arrays.
+ *
+ * @param  {(Array|Object|String)} def - or JSON/YAML
+ *
+ * @return {Object}                - normalized steps by hook, e.g. { action: [{ action: "click", selector }] }
+ */
+const parse = def => {
+  if (typeof def === 'string') {
+    try {
+      def = yaml.load(def)
+    } catch (err) {
+      throw new Error('Expected steps to be valid JSON or YAML: ' + err.reason)
+    }
+  }
+
+  if (Array.isArray(def)) {
+    def = { action: def }
+  }
+
+  const { error, value } = schema.validate(def)
+
+  if (error) {
+    const [{ message, path: [hook, index] }] = error.details
+
+    throw typeof index === 'number'
+      ? new Error(`Step ${index + 1} of ${hook} is invalid: ${message}`)
+      : error
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([hook, steps]) => [hook, steps.map(step => {
+      const [[action, opts]] = Object.entries(step)
+      const { shorthand } = actions[action]
+
+      return typeof opts === 'string'
+        ? { action, ...actions[action].schema.validate({ [shorthand]: opts }).value }
+        : { action, ...opts }
+    })])
+  )
+}
+
+/**
+ * Compile steps into a script that defines the same hooks as a JS script.
+ *
+ * @param  {(Array|Object|String)} def - see {@link parse}
+ *
+ * @return {String}
+ */
+const compile = def => {
+  const steps = parse(def)
+
+  return [
+    `const runSteps = ${runSteps.toString()}`,
+    `const steps = ${JSON.stringify(steps)}`,
+    ...Object.keys(steps).map(hook => {
+      return `async function ${hook} () { return runSteps.call(this, steps.${hook}, '${hook}') }`
+    })
+  ].join('\n\n')
+}
+
+module.exports = {
+  actions: Object.keys(actions),
+  compile,
+  parse
+}
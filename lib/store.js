@@ -0,0 +1,278 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const util = require('./util')
+
+/**
+ * Base class for job stores. Doesn't persist anything.
+ * Extend and override the methods to keep jobs somewhere else.
+ */
+class Store {
+  /**
+   * Load every job record in the store.
+   *
+   * @return {Promise}
+   */
+  async load () {
+    return []
+  }
+
+  /**
+   * Create or replace a job record.
+   *
+   * @param  {Object} record
+   *
+   * @return {Promise}
+   */
+  async save (record) {}
+
+  /**
+   * Delete a job record.
+   *
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  async remove (id) {}
+
+  /**
+   * Load every run record in the store.
+   *
+   * @return {Promise}
+   */
+  async loadRuns () {
+    return []
+  }
+
+  /**
+   * Create or replace a run record.
+   *
+   * @param  {Object} record
+   *
+   * @return {Promise}
+   */
+  async saveRun (record) {}
+
+  /**
+   * Load every pipeline record in the store.
+   *
+   * @return {Promise}
+   */
+  async loadPipelines () {
+    return []
+  }
+
+  /**
+   * Create or replace a pipeline record.
+   *
+   * @param  {Object} record
+   *
+   * @return {Promise}
+   */
+  async savePipeline (record) {}
+
+  /**
+   * Delete a pipeline record.
+   *
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  async removePipeline (id) {}
+
+  /**
+   * Load every schedule record in the store.
+   *
+   * @return {Promise}
+   */
+  async loadSchedules () {
+    return []
+  }
+
+  /**
+   * Create or replace a schedule record.
+   *
+   * @param  {Object} record
+   *
+   * @return {Promise}
+   */
+  async saveSchedule (record) {}
+
+  /**
+   * Delete a schedule record.
+   *
+   * @param  {String} id
+   *
+   * @return {Promise}
+   */
+  async removeSchedule (id) {}
+}
+
+/**
+ * Store that keeps each job record in its own JSON file.
+ * Run records are kept in a subdirectory per schedule,
+ * and pipeline and schedule records in their own subdirectories.
+ *
+ * @extends Store
+ */
+class FileStore extends Store {
+  constructor (dir = path.join(__dirname, '..', 'out', 'jobs')) {
+    super()
+
+    this.dir = dir
+    this.pending = new Map()
+    this.writes = new Map()
+  }
+
+  file (id) {
+    return path.join(this.dir, id + '.json')
+  }
+
+  runFile ({ id, scheduleId }) {
+    return path.join(this.dir, 'runs', scheduleId, id + '.json')
+  }
+
+  pipelineFile (id) {
+    return path.join(this.dir, 'pipelines', id + '.json')
+  }
+
+  scheduleFile (id) {
+    return path.join(this.dir, 'schedules', id + '.json')
+  }
+
+  /**
+   * Atomically write a record to a file.
+   * Writes to a file that are waiting on an earlier one are coalesced,
+   * so only the latest record is written once the earlier write is done.
+   *
+   * @param  {String} file
+   * @param  {Object} record
+   *
+   * @return {Promise}
+   */
+  write (file, record) {
+    const data = JSON.stringify(record)
+    const pending = this.pending.get(file)
+
+    if (pending) {
+      pending.data = data
+      return pending.promise
+    }
+
+    const write = { data }
+    const tmp = file + '.tmp'
+
+    this.pending.set(file, write)
+
+    write.promise = util.enqueue(this.writes, file, async () => {
+      this.pending.get(file) === write && this.pending.delete(file)
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.writeFile(tmp, write.data)
+      await fs.promises.rename(tmp, file)
+    })
+
+    return write.promise
+  }
+
+  /**
+   * Read every record in a directory.
+   *
+   * @param  {String} dir
+   *
+   * @return {Promise}
+   */
+  async read (dir) {
+    await fs.promises.mkdir(dir, { recursive: true })
+
+    const filenames = await fs.promises.readdir(dir)
+    const records = []
+
+    for (const filename of filenames) {
+      if (!filename.endsWith('.json')) continue
+
+      try {
+        const data = await fs.promises.readFile(path.join(dir, filename), 'utf8')
+        records.push(JSON.parse(data))
+      } catch (err) {
+        console.error('Failed to load ' + filename + ': ' + err.message)
+      }
+    }
+
+    return records
+  }
+
+  load () {
+    return this.read(this.dir)
+  }
+
+  save (record) {
+    return this.write(this.file(record.id), record)
+  }
+
+  remove (id) {
+    return this.unlink(this.file(id))
+  }
+
+  unlink (file) {
+    // Later writes mustn't be folded into ones queued before the file is removed.
+    this.pending.delete(file)
+
+    return util.enqueue(this.writes, file, async () => {
+      try {
+        await fs.promises.unlink(file)
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+      }
+    })
+  }
+
+  async loadRuns () {
+    const dir = path.join(this.dir, 'runs')
+
+    await fs.promises.mkdir(dir, { recursive: true })
+
+    const scheduleIds = await fs.promises.readdir(dir)
+    const records = []
+
+    for (const scheduleId of scheduleIds) {
+      records.push(...await this.read(path.join(dir, scheduleId)))
+    }
+
+    return records
+  }
+
+  saveRun (record) {
+    return this.write(this.runFile(record), record)
+  }
+
+  loadPipelines () {
+    return this.read(path.join(this.dir, 'pipelines'))
+  }
+
+  savePipeline (record) {
+    return this.write(this.pipelineFile(record.id), record)
+  }
+
+  removePipeline (id) {
+    return this.unlink(this.pipelineFile(id))
+  }
+
+  loadSchedules () {
+    return this.read(path.join(this.dir, 'schedules'))
+  }
+
+  saveSchedule (record) {
+    return this.write(this.scheduleFile(record.id), record)
+  }
+
+  removeSchedule (id) {
+    return this.unlink(this.scheduleFile(id))
+  }
+}
+
+module.exports = {
+  FileStore,
+  Store
+}
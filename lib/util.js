@@ -1,30 +1,238 @@
 'use strict'
 
+const cronParser = require('cron-parser')
 const http = require('http')
 const https = require('https')
 
 /** @module util */
 
+const fields = ['year', 'month', 'day', 'hour', 'minute', 'second']
+
+/**
+ * Get the wall-clock fields of a date in a time zone (or local time).
+ *
+ * @param  {Date}   date
+ * @param  {String} [timeZone]
+ *
+ * @return {Object}
+ */
+const wallTime = (date, timeZone) => {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    }
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date)
+
+  const get = type => +parts.find(part => part.type === type).value
+
+  return {
+    year: get('year'),
+    month: get('month') - 1,
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  }
+}
+
+/**
+ * Convert wall-clock fields in a time zone (or local time) to a date.
+ * Out-of-range fields overflow like they do with the Date constructor.
+ *
+ * @param  {Object} wall
+ * @param  {String} [timeZone]
+ *
+ * @return {Date}
+ */
+const fromWallTime = ({ year, month, day, hour, minute, second }, timeZone) => {
+  if (!timeZone) {
+    return new Date(year, month, day, hour, minute, second)
+  }
+
+  const utc = Date.UTC(year, month, day, hour, minute, second)
+
+  const offset = date => {
+    const wall = wallTime(date, timeZone)
+
+    return Date.UTC(
+      wall.year,
+      wall.month,
+      wall.day,
+      wall.hour,
+      wall.minute,
+      wall.second
+    ) - Math.floor(date / 1e3) * 1e3
+  }
+
+  // Guess with the offset at the UTC instant, then correct it in case
+  // the wall time is on the other side of a DST transition.
+  let ms = utc - offset(new Date(utc))
+  ms = utc - offset(new Date(ms))
+
+  return new Date(ms)
+}
+
 /**
  * @param  {(Date|Object|String)} arg
+ * @param  {String}               [timeZone] - IANA time zone for object fields
  *
  * @return {Date}
  */
-const date = arg => {
+const date = (arg, timeZone) => {
   if (arg instanceof Date) return arg
 
   if (typeof arg === 'string') return new Date(arg)
 
-  const date = new Date()
+  const wall = wallTime(new Date(), timeZone)
+
+  fields.forEach(field => {
+    if (arg[field] != null) {
+      wall[field] = arg[field]
+    }
+  })
+
+  return fromWallTime(wall, timeZone)
+}
+
+/**
+ * Add an interval to a date, keeping the wall-clock time in the time zone.
+ *
+ * @param  {Date}   date
+ * @param  {Object} every
+ * @param  {Number} every.number
+ * @param  {String} every.unit
+ * @param  {String} [timeZone]
+ *
+ * @return {Date}
+ */
+const advance = (date, { number, unit }, timeZone) => {
+  const wall = wallTime(date, timeZone)
+
+  switch (unit) {
+    case 'minute':
+    case 'minutes':
+      return new Date(+date + number * 60e3)
+
+    case 'hour':
+    case 'hours':
+      return new Date(+date + number * 3600e3)
+
+    case 'day':
+    case 'days':
+      wall.day += number
+      break
+
+    case 'week':
+    case 'weeks':
+      wall.day += number * 7
+      break
+
+    case 'month':
+    case 'months':
+      wall.month += number
+  }
+
+  return fromWallTime(wall, timeZone)
+}
+
+/**
+ * Get the first time a job with the given scheduling config should run.
+ *
+ * @param  {Object} scheduling
+ * @param  {Date}   [after = new Date()] - only used for cron expressions
+ *
+ * @return {?Date}
+ */
+const firstRun = (scheduling, after = new Date()) => {
+  if (scheduling.when) return date(scheduling.when, scheduling.timezone)
+
+  if (scheduling.cron) return nextCron(scheduling, after)
+
+  return null
+}
+
+/**
+ * Get the time a recurring job should run after the given run.
+ *
+ * @param  {Object} scheduling
+ * @param  {Date}   prev
+ *
+ * @return {?Date}
+ */
+const nextRun = (scheduling, prev) => {
+  if (scheduling.cron) return nextCron(scheduling, prev)
+
+  const { every } = scheduling
 
-  arg.day != null && date.setDate(arg.day)
-  arg.hour != null && date.setHour(arg.hour)
-  arg.minute != null && date.setMinutes(arg.minute)
-  arg.month != null && date.setMonth(arg.month)
-  arg.second != null && date.setSeconds(arg.second)
-  arg.year != null && date.setFullYear(arg.year)
+  if (every && every.number && every.unit) {
+    return advance(prev, every, scheduling.timezone)
+  }
 
-  return date
+  return null
+}
+
+/**
+ * Check whether a scheduling config repeats (i.e. it has a cron expression or an interval).
+ *
+ * @param  {Object}  scheduling
+ *
+ * @return {Boolean}
+ */
+const recurring = ({ cron, every }) => !!(cron || (every && every.number && every.unit))
+
+/**
+ * @param  {Object} scheduling
+ * @param  {String} scheduling.cron
+ * @param  {String} [scheduling.timezone]
+ * @param  {Date}   after
+ *
+ * @return {Date}
+ */
+const nextCron = ({ cron, timezone }, after) => {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: after,
+    tz: timezone || undefined
+  })
+
+  return interval.next().toDate()
+}
+
+/**
+ * Get the next times a job with the given scheduling config will run.
+ *
+ * @param  {Object} scheduling
+ * @param  {Number} count
+ *
+ * @return {Date[]}
+ */
+const preview = (scheduling, count) => {
+  const times = []
+
+  for (
+    let when = firstRun(scheduling);
+    when && times.length < count;
+    when = nextRun(scheduling, when)
+  ) {
+    times.push(when)
+  }
+
+  return times
 }
 
 /**
@@ -58,6 +266,74 @@ const request = (url, opts) => new Promise((resolve, reject) => {
     .once('error', reject)
 })
 
+/**
+ * Render a template, replacing e.g. "{{title}}" or "{{result.price}}"
+ * with fields of an object. Objects are rendered as JSON.
+ *
+ * @param  {String} template
+ * @param  {Object} obj
+ *
+ * @return {String}
+ */
+const render = (template, obj) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+  const value = path.split('.').reduce((value, key) => value == null ? value : value[key], obj)
+
+  if (value == null) return ''
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+})
+
+/**
+ * Queue an operation after the last one queued with the same key (e.g. a file),
+ * so operations with the same key never overlap.
+ *
+ * @param  {Map}      queues - the last operation queued by key
+ * @param  {String}   key
+ * @param  {Function} fn
+ *
+ * @return {Promise}
+ */
+const enqueue = (queues, key, fn) => {
+  const prev = queues.get(key) || Promise.resolve()
+
+  const next = prev
+    .then(fn)
+    .finally(() => {
+      queues.get(key) === next && queues.delete(key)
+    })
+
+  queues.set(key, next)
+
+  return next
+}
+
+/**
+ * Timers longer than this fire right away, so longer delays are split up.
+ */
+const maxDelay = 2 ** 31 - 1
+
+/**
+ * Call a function after a delay, even one that's longer than setTimeout() allows.
+ *
+ * @param  {Function} fn
+ * @param  {Number}   ms
+ *
+ * @return {Function} - cancels the call
+ */
+const timer = (fn, ms) => {
+  const end = Date.now() + ms
+  let timeout
+
+  const wait = () => {
+    const ms = end - Date.now()
+    timeout = ms > maxDelay ? setTimeout(wait, maxDelay) : setTimeout(fn, ms)
+  }
+
+  wait()
+
+  return () => clearTimeout(timeout)
+}
+
 /**
  * @param  {Function}       fn
  * @param  {(Date|Object)}  when
@@ -65,21 +341,13 @@ const request = (url, opts) => new Promise((resolve, reject) => {
  * @return {Function}
  */
 const schedule = (fn, when) => {
-  const tm = process.hrtime()
-  const dt = date(when)
-  const now = new Date()
-  let ms = dt - now
+  const ms = date(when) - new Date()
 
   if (ms < 0) {
     throw new Error('Cannot schedule in the past')
   }
 
-  const [s, ns] = process.hrtime(tm)
-  ms -= s * 1e3 + ns / 1e3
-
-  const timeout = setTimeout(fn, ms)
-
-  return () => clearTimeout(timeout)
+  return timer(fn, ms)
 }
 
 /**
@@ -90,8 +358,16 @@ const schedule = (fn, when) => {
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
 
 module.exports = {
+  advance,
   date,
+  enqueue,
+  firstRun,
+  nextRun,
+  preview,
+  recurring,
+  render,
   request,
   schedule,
-  sleep
+  sleep,
+  timer
 }
@@ -0,0 +1,168 @@
+'use strict'
+
+/**
+ * Entry point of the worker thread that runs a job's script.
+ * The script's hooks are bound to a curated API instead of the job,
+ * and the page is a separate connection to the job's browser.
+ * The script only sees the API (and the page) through a {@link Membrane}.
+ *
+ * @see Sandbox
+ */
+
+const puppeteer = require('puppeteer')
+const vm = require('vm')
+const { parentPort, workerData } = require('worker_threads')
+const { logger } = require('./logs')
+const Membrane = require('./membrane')
+
+const pending = new Map()
+
+// Without a prototype, the global doesn't lead the script to the worker's Object either.
+const context = vm.createContext(Object.create(null))
+const membrane = new Membrane(context)
+
+let browser = null
+let hooks = null
+let seq = 0
+
+const send = msg => parentPort.postMessage(msg)
+
+/**
+ * Copy a value from the script so it can be posted to the job.
+ * Buffers (e.g. screenshots) are posted as they are.
+ *
+ * @param  {*} value
+ *
+ * @return {*}
+ */
+const plain = value => {
+  if (value === undefined || ArrayBuffer.isView(value)) return value
+
+  return JSON.parse(JSON.stringify(value))
+}
+
+const request = (method, ...args) => new Promise((resolve, reject) => {
+  const id = ++seq
+  pending.set(id, { resolve, reject })
+  send({ type: 'request', id, method, args: args.map(plain) })
+})
+
+const api = {
+  data: workerData.data,
+  page: null,
+  result: {},
+
+  artifact: (name, data) => request('artifact', name, data),
+
+  fatal: message => {
+    const err = new Error(message)
+    err.fatal = true
+    return err
+  },
+
+  log: logger((level, message, data) => {
+    // Only plain data can be posted to the job.
+    data = plain(data)
+    send({ type: 'log', level, message: String(message), data })
+  }),
+  recvCode: opts => request('recvCode', opts),
+  recvInbound: (timeout, filter) => request('recvInbound', timeout, filter),
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Run the script's top-level code (once) and find the hooks it defines.
+ *
+ * @return {String[]}
+ */
+const load = () => {
+  new vm.Script(workerData.script, { filename: 'script.js' }).runInContext(context, { timeout: 1e3 })
+
+  const hooks = ['setup', 'action', 'finalize'].filter(hook => context[hook])
+
+  hooks.forEach(hook => {
+    if (typeof context[hook] !== 'function') {
+      throw new Error(`Expected ${hook} to be a function`)
+    }
+  })
+
+  return hooks
+}
+
+const init = async ({ endpoint, targetId }) => {
+  hooks = hooks || load()
+
+  // Reconnect so pages in contexts created since the last init are found.
+  browser && browser.disconnect()
+  browser = await puppeteer.connect({ browserWSEndpoint: endpoint })
+
+  const pages = await browser.pages()
+
+  api.page = pages.find(page => page.target()._targetId === targetId)
+
+  if (!api.page) {
+    throw new Error('Couldn\'t find page')
+  }
+
+  return hooks
+}
+
+const call = async ({ hook, args }) => {
+  const value = await membrane.toWorker(context[hook]).apply(api, args)
+  return !!value
+}
+
+/**
+ * @return {Object} - the script's result, as plain data
+ */
+const result = () => {
+  try {
+    return plain(api.result)
+  } catch (err) {
+    api.log.warn('Result isn\'t serializable: ' + err.message)
+    return {}
+  }
+}
+
+const check = () => {
+  try {
+    send({ type: 'checked', hooks: load() })
+  } catch (err) {
+    const error = err && typeof err.message === 'string' ? err.message : String(err)
+    const stack = err && typeof err.stack === 'string' ? err.stack : ''
+
+    send({ type: 'checked', hooks: [], error, stack })
+  }
+}
+
+const listen = () => {
+  parentPort.on('message', async msg => {
+    if (msg.type === 'response') {
+      const { resolve, reject } = pending.get(msg.id)
+      pending.delete(msg.id)
+      msg.error ? reject(new Error(msg.error)) : resolve(msg.value)
+      return
+    }
+
+    try {
+      const value = msg.type === 'init'
+        ? await init(msg)
+        : await call(msg)
+
+      send({ type: 'return', id: msg.id, value, result: result() })
+    } catch (err) {
+      // Errors thrown by the script come from another realm.
+      const error = err && typeof err.message === 'string' ? err.message : String(err)
+      const name = err && typeof err.name === 'string' ? err.name : 'Error'
+      const fatal = !!(err && err.fatal)
+
+      send({ type: 'throw', id: msg.id, error, name, fatal, result: result() })
+    }
+  })
+
+  // Lets the sandbox tell when the script hogs the event loop.
+  setInterval(() => send({ type: 'heartbeat' }), 500)
+}
+
+// When only checking the script, report which hooks it defines (or why it failed) and exit.
+workerData.check ? check() : listen()
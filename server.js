@@ -6,11 +6,41 @@ const Server = require('./lib/server')
 
 const privDir = path.join(__dirname, 'private')
 
-const apiKey = fs.readFileSync(path.join(privDir, 'api.key'))
+const readJSON = (filename, fallback) => {
+  const file = path.join(privDir, filename)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback
+}
+
+const apiKey = fs.readFileSync(path.join(privDir, 'api.key'), 'utf8').trim()
 const cert = fs.readFileSync(path.join(privDir, 'cert.pem'))
 const key = fs.readFileSync(path.join(privDir, 'key.pem'))
+const keys = readJSON('keys.json', [])
+const providers = readJSON('providers.json', {})
+const proxies = readJSON('proxies.json', {})
+const smtp = readJSON('smtp.json')
+
+const secretsKeyFile = path.join(privDir, 'secrets.key')
+const secretsKey = fs.existsSync(secretsKeyFile) ? fs.readFileSync(secretsKeyFile, 'utf8').trim() : undefined
+
+const concurrency = +process.env.CONCURRENCY || Infinity
+
+const browsers = {
+  size: +process.env.BROWSER_POOL_SIZE || 1,
+  maxUses: +process.env.BROWSER_MAX_USES || 50
+}
 
-const server = new Server({ apiKey, cert, key })
+const server = new Server({
+  apiKey,
+  browsers,
+  cert,
+  concurrency,
+  key,
+  keys,
+  providers,
+  proxies,
+  secretsKey,
+  smtp
+})
 
 server
   .start(8888, '0.0.0.0')